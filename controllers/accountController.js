@@ -0,0 +1,238 @@
+const asyncHandler = require('express-async-handler');
+const bcrypt = require('bcryptjs');
+const { AppError } = require('../utils/appError');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { consumeSecondFactor } = require('../utils/totp');
+const { archiveStore, transferStoreOwnership } = require('../utils/storeLifecycle');
+const { runInTransaction } = require('../utils/transactions');
+const sendEmail = require('../utils/sendEmail');
+const { escapeHtml } = require('../utils/sanitizers');
+const logger = require('../utils/logger');
+
+const User = require('../models/user');
+const Store = require('../models/store');
+const Product = require('../models/product');
+const StoreMembership = require('../models/storeMembership');
+const StoreInvitation = require('../models/storeInvitation');
+const InventoryTransaction = require('../models/inventoryTransaction');
+const ApiKey = require('../models/apiKey');
+const Image = require('../models/image');
+
+// Fields a user can see about themselves; never hashes, tokens or secrets
+const PROFILE_FIELDS = '_id email pendingEmail displayName role emailVerified twoFactor.enabled lastLoginAt createdAt updatedAt';
+
+// Helper: load the signed-in user
+const findCurrentUser = async (req, select) => {
+  const userId = req.user?.userId;
+
+  if (!userId) {
+    throw AppError.UNAUTHORIZED();
+  }
+
+  const query = User.findById(userId);
+  if (select) query.select(select);
+
+  const user = await query;
+  if (!user) {
+    throw AppError.USER_NOT_FOUND();
+  }
+
+  return user;
+};
+
+// Helper: the member who should take over a store when its owner leaves
+// Managers before contributors, longest-standing first
+const findSuccessor = async (storeId, ownerId, session) => {
+  const candidates = await StoreMembership.find({
+    storeId,
+    userId: { $ne: ownerId },
+    role: { $in: ['manager', 'contributor'] },
+  }).sort({ createdAt: 1 }).session(session);
+
+  return candidates.find((m) => m.role === 'manager') || candidates[0] || null;
+};
+
+// PUT /api/auth/me
+// An email change only takes effect once the new address is verified
+const updateProfile = asyncHandler(async (req, res) => {
+  const { displayName, email, currentPassword } = req.validated; // Already validated & sanitized
+
+  const user = await findCurrentUser(req);
+
+  if (displayName) {
+    user.displayName = displayName;
+  }
+
+  const emailChanged = email && email !== user.email;
+
+  if (emailChanged) {
+    const isMatch = await bcrypt.compare(currentPassword || '', user.passwordHash);
+    if (!isMatch) {
+      throw AppError.INVALID_CREDENTIALS('Current password is incorrect');
+    }
+
+    const taken = await User.exists({ email });
+    if (taken) {
+      throw AppError.EMAIL_ALREADY_EXISTS();
+    }
+
+    user.pendingEmail = email;
+    await sendVerificationEmail(user); // saves the user
+
+    // Let the current address know, in case this wasn't them
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: "Email change requested",
+        html: `
+          <h3>Email change requested</h3>
+          <p>Hi ${escapeHtml(user.displayName)}, someone asked to move your account to a new email address.</p>
+          <p>Nothing changes until the new address is verified. If this wasn't you, change your password.</p>
+        `,
+      });
+    } catch (err) {
+      logger.error('EMAIL_CHANGE_NOTICE_FAILED', { userId: String(user._id), error: err.message });
+    }
+  } else if (email === user.email && user.pendingEmail) {
+    // Changing back to the current address cancels the pending change
+    user.pendingEmail = undefined;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+  } else {
+    await user.save();
+  }
+
+  const profile = await User.findById(user._id).select(PROFILE_FIELDS).lean();
+
+  res.status(200).json({
+    ...profile,
+    emailVerified: profile.emailVerified !== false,
+    ...(emailChanged && { message: `Check ${email} to confirm your new email address` }),
+  });
+});
+
+// GET /api/auth/me/export
+// Everything stored about the user, as one JSON document
+const exportAccount = asyncHandler(async (req, res) => {
+  const user = await findCurrentUser(req, PROFILE_FIELDS + ' refreshTokens');
+
+  const memberships = await StoreMembership.find({ userId: user._id })
+    .populate('storeId', '_id name')
+    .lean();
+
+  const ownedStores = await Store.find({ ownerId: user._id }).lean();
+  const ownedStoreIds = ownedStores.map((store) => store._id);
+
+  const [products, inventoryActions, apiKeys, images] = await Promise.all([
+    Product.find({ storeId: { $in: ownedStoreIds } }).lean(),
+    InventoryTransaction.find({ actorId: user._id }).sort({ createdAt: -1 }).lean(),
+    ApiKey.find({ userId: user._id }).lean(), // keyHash is select: false
+    Image.find({ uploaderIds: user._id }).select('_id size variants createdAt').lean(),
+  ]);
+
+  const { refreshTokens, ...profile } = user.toObject();
+
+  res.setHeader('Content-Disposition', `attachment; filename="account-export-${user._id}.json"`);
+  res.status(200).json({
+    exportedAt: new Date(),
+    profile: { ...profile, emailVerified: profile.emailVerified !== false },
+    memberships: memberships.map((m) => ({
+      store: m.storeId,
+      role: m.role,
+      joinedAt: m.createdAt,
+    })),
+    stores: ownedStores,
+    products,
+    inventoryActions,
+    apiKeys,
+    images,
+    // Device metadata only, never the token hashes
+    sessions: (refreshTokens || []).map((t) => ({
+      _id: t._id,
+      createdAt: t.createdAt,
+      lastUsedAt: t.lastUsedAt,
+      expiresAt: t.expiresAt,
+      userAgent: t.userAgent,
+      ipAddress: t.ipAddress,
+    })),
+  });
+});
+
+// DELETE /api/auth/me
+// Owned stores go to another member (storeHandling: 'transfer', the default)
+// or are archived ('archive'); stores with nobody to take over are archived
+const deleteAccount = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode, storeHandling = 'transfer' } = req.validated; // Already validated & sanitized
+
+  const user = await findCurrentUser(req, '+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+  const isMatch = await bcrypt.compare(password, user.passwordHash);
+  if (!isMatch) {
+    throw AppError.INVALID_CREDENTIALS('Password is incorrect');
+  }
+
+  if (user.twoFactor?.enabled && !consumeSecondFactor(user, { code, recoveryCode })) {
+    throw AppError.INVALID_TWO_FACTOR_CODE();
+  }
+
+  // All or nothing: a failure part-way must not leave stores without an
+  // owner while the account still exists
+  const outcome = await runInTransaction(async (session) => {
+    const ownedStores = await Store.find({ ownerId: user._id }).session(session);
+    const transferred = [];
+    const archived = [];
+
+    for (const store of ownedStores) {
+      const successor = storeHandling === 'transfer' ? await findSuccessor(store._id, user._id, session) : null;
+
+      if (successor) {
+        await transferStoreOwnership(store, successor, { keepPreviousOwner: false, session });
+        transferred.push({ _id: store._id, name: store.name, newOwnerId: successor.userId });
+        continue;
+      }
+
+      if (!store.archivedAt) {
+        await archiveStore(store, { session });
+      }
+      // Orphaned: only staff can restore it now, so nobody keeps access to it
+      store.ownerId = null;
+      await store.save({ session });
+      await StoreMembership.deleteMany({ storeId: store._id }, { session });
+      await StoreInvitation.deleteMany({ storeId: store._id }, { session });
+      archived.push({ _id: store._id, name: store.name });
+    }
+
+    await StoreMembership.deleteMany({ userId: user._id }, { session });
+    await StoreInvitation.deleteMany({ email: user.email }, { session });
+    await ApiKey.deleteMany({ userId: user._id }, { session });
+    // Uploads may still be shown on stores; unused ones get swept. Only images
+    // listing the user match, so the count drops exactly once per image.
+    await Image.updateMany({ uploaderIds: user._id }, { $pull: { uploaderIds: user._id }, $inc: { refCount: -1 } }, { session });
+
+    await user.deleteOne({ session });
+
+    return { transferred, archived };
+  });
+
+  logger.security('ACCOUNT_DELETED', {
+    userId: String(user._id),
+    storesTransferred: outcome.transferred.length,
+    storesArchived: outcome.archived.length,
+  });
+
+  res.clearCookie('accessToken', { path: '/' });
+  res.clearCookie('refreshToken', { path: '/' });
+
+  res.status(200).json({
+    message: 'Account deleted',
+    storesTransferred: outcome.transferred,
+    storesArchived: outcome.archived,
+  });
+});
+
+module.exports = {
+  updateProfile,
+  exportAccount,
+  deleteAccount,
+};
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const { AppError } = require('../utils/appError');
+const { getPaginationParams, buildPaginatedResponse } = require('../utils/pagination');
+const { ROLES } = require('../utils/permissions');
+const User = require('../models/user');
+
+// Fields admins may see; never hashes or tokens
+const USER_ADMIN_FIELDS = '_id email displayName role lastLoginAt accountLockedUntil createdAt';
+
+// Far-future date used for admin locks (login lockouts are 30 minutes)
+const ADMIN_LOCK_UNTIL = new Date('9999-12-31T00:00:00Z');
+
+// Helper: load a user by the :id route param (404 if missing)
+const findUserOrFail = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid user ID format', 400, 'VALIDATION_012', true);
+  }
+
+  const user = await User.findById(id);
+  if (!user) {
+    throw AppError.USER_NOT_FOUND();
+  }
+
+  return user;
+};
+
+// GET /api/admin/users?role=moderator&q=alice  (admin only)
+const getUsers = asyncHandler(async (req, res) => {
+  const { role, q } = req.query;
+  const { page, limit, skip } = getPaginationParams(req.query);
+
+  const filter = {};
+
+  if (role) {
+    if (!ROLES.includes(role)) {
+      throw new AppError(`Role must be one of: ${ROLES.join(', ')}`, 400, 'VALIDATION_015', true);
+    }
+    filter.role = role;
+  }
+
+  if (q) {
+    const pattern = new RegExp(String(q).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    filter.$or = [{ email: pattern }, { displayName: pattern }];
+  }
+
+  const [total, users] = await Promise.all([
+    User.countDocuments(filter),
+    User.find(filter)
+      .select(USER_ADMIN_FIELDS)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  const response = buildPaginatedResponse(users, total, page, limit);
+  res.status(200).json(response);
+});
+
+// GET /api/admin/users/:id  (admin only)
+const getUserById = asyncHandler(async (req, res) => {
+  const user = await findUserOrFail(req.params.id);
+
+  const result = await User.findById(user._id).select(USER_ADMIN_FIELDS).lean();
+  res.status(200).json(result);
+});
+
+// PUT /api/admin/users/:id/role  (admin only)
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.validated; // Already validated & sanitized
+
+  const user = await findUserOrFail(req.params.id);
+
+  // Stops the last admin from locking everyone out by accident
+  if (String(user._id) === String(req.user.userId) && role !== 'admin') {
+    throw new AppError('You cannot remove your own admin role', 403, 'FORBIDDEN_002', true);
+  }
+
+  user.role = role;
+  await user.save();
+
+  const result = await User.findById(user._id).select(USER_ADMIN_FIELDS).lean();
+  res.status(200).json(result);
+});
+
+// PUT /api/admin/users/:id/lock  (admin only)
+const updateUserLock = asyncHandler(async (req, res) => {
+  const { locked } = req.validated; // Already validated & sanitized
+
+  const user = await findUserOrFail(req.params.id);
+
+  if (String(user._id) === String(req.user.userId)) {
+    throw new AppError('You cannot lock your own account', 403, 'FORBIDDEN_002', true);
+  }
+
+  if (locked) {
+    user.accountLockedUntil = ADMIN_LOCK_UNTIL;
+    // End every session; authMiddleware rejects their access tokens too
+    user.refreshTokens = [];
+  } else {
+    user.accountLockedUntil = undefined;
+    user.loginAttempts = 0;
+  }
+
+  await user.save();
+
+  const result = await User.findById(user._id).select(USER_ADMIN_FIELDS).lean();
+  res.status(200).json(result);
+});
+
+module.exports = {
+  getUsers,
+  getUserById,
+  updateUserRole,
+  updateUserLock,
+};
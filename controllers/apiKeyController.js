@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const { AppError } = require('../utils/appError');
+const { generateApiKey } = require('../utils/apiKeys');
+const logger = require('../utils/logger');
+
+const ApiKey = require('../models/apiKey');
+
+// Keep the number of live credentials per account manageable
+const MAX_ACTIVE_API_KEYS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields safe to show; never the hash
+const API_KEY_FIELDS = '_id name prefix scopes expiresAt lastUsedAt lastUsedIp revokedAt createdAt';
+
+// Helper: query matching a user's keys that still work
+const activeKeysFilter = (userId) => ({
+  userId,
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+});
+
+// GET /api/auth/api-keys
+const listApiKeys = asyncHandler(async (req, res) => {
+  const apiKeys = await ApiKey.find({ userId: req.user.userId })
+    .select(API_KEY_FIELDS)
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.status(200).json({ apiKeys });
+});
+
+// POST /api/auth/api-keys
+// The full key is only returned here; it can't be retrieved later
+const createApiKey = asyncHandler(async (req, res) => {
+  const { name, scopes, expiresInDays } = req.validated; // Already validated & sanitized
+  const userId = req.user.userId;
+
+  const activeCount = await ApiKey.countDocuments(activeKeysFilter(userId));
+  if (activeCount >= MAX_ACTIVE_API_KEYS) {
+    throw new AppError(`You can have at most ${MAX_ACTIVE_API_KEYS} active API keys. Revoke one first`, 409, 'CONFLICT_011', true);
+  }
+
+  const { key, prefix, keyHash } = generateApiKey();
+
+  const apiKey = await ApiKey.create({
+    userId,
+    name,
+    prefix,
+    keyHash,
+    scopes,
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * DAY_MS) : null,
+  });
+
+  logger.security('API_KEY_CREATED', { userId: String(userId), apiKeyId: String(apiKey._id), scopes });
+
+  res.status(201).json({
+    _id: apiKey._id,
+    name: apiKey.name,
+    prefix: apiKey.prefix,
+    scopes: apiKey.scopes,
+    expiresAt: apiKey.expiresAt,
+    createdAt: apiKey.createdAt,
+    key,
+  });
+});
+
+// DELETE /api/auth/api-keys/:id
+// Revoked keys stay listed (with revokedAt) so past usage can still be seen
+const revokeApiKey = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid API key ID format', 400, 'VALIDATION_012', true);
+  }
+
+  const apiKey = await ApiKey.findOne({ _id: id, userId: req.user.userId });
+  if (!apiKey) {
+    throw AppError.API_KEY_NOT_FOUND();
+  }
+
+  if (!apiKey.revokedAt) {
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    logger.security('API_KEY_REVOKED', { userId: String(req.user.userId), apiKeyId: String(apiKey._id) });
+  }
+
+  res.status(200).json({ message: 'API key revoked' });
+});
+
+module.exports = {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
@@ -4,6 +4,11 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const sendEmail = require('../utils/sendEmail');
 const { AppError } = require('../utils/appError');
+const { createHashedToken, hashToken } = require('../utils/tokens');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const { consumeSecondFactor } = require('../utils/totp');
+const { verifyRefreshToken, createSession, rotateSession, findSession } = require('../utils/refreshTokens');
+const logger = require('../utils/logger');
 
 const User = require('../models/user');
 
@@ -21,40 +26,26 @@ const validatePasswordStrength = (password) => {
 };
 
 // Helper: sign JWT Access Token (15 minutes)
-const signAccessToken = (userId) => {
+const signAccessToken = (userId, sessionId) => {
   const secret = process.env.JWT_SECRET;
   if (!secret) {
     throw new AppError('JWT_SECRET is not set in environment variables', 500, 'CONFIG_001', false);
   }
 
-  return jwt.sign({ userId }, secret, { expiresIn: '15m' });
+  // sid names the session (refresh token family) this token belongs to, so
+  // the sessions endpoints know the caller's device without its refresh token
+  return jwt.sign({ userId, sid: String(sessionId) }, secret, { expiresIn: '15m' });
 };
 
-// Helper: sign JWT Refresh Token (7 days)
-const signRefreshToken = (userId) => {
-  const secret = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+// Helper: sign the short-lived token that links the two login steps (5 minutes)
+// Carries a purpose claim so authMiddleware never accepts it as an access token
+const signChallengeToken = (userId) => {
+  const secret = process.env.JWT_SECRET;
   if (!secret) {
-    throw new AppError('JWT_REFRESH_SECRET is not set in environment variables', 500, 'CONFIG_001', false);
+    throw new AppError('JWT_SECRET is not set in environment variables', 500, 'CONFIG_001', false);
   }
 
-  return jwt.sign({ userId }, secret, { expiresIn: '7d' });
-};
-
-// Helper: create and store refresh token in database
-const createRefreshToken = async (user) => {
-  const refreshToken = signRefreshToken(user._id);
-  const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-
-  // Prune already-expired tokens before pushing the new one so the array
-  // doesn't grow unboundedly for users who never explicitly log out
-  user.refreshTokens = (user.refreshTokens || []).filter(
-    (t) => t.expiresAt > Date.now()
-  );
-
-  user.refreshTokens.push({ token: refreshToken, expiresAt });
-
-  await user.save();
-  return refreshToken;
+  return jwt.sign({ userId, purpose: '2fa_challenge' }, secret, { expiresIn: '5m' });
 };
 
 // Set HTTP-only cookies with tokens
@@ -81,6 +72,23 @@ const setTokenCookies = (res, accessToken, refreshToken) => {
   });
 };
 
+// Hand new tokens to the client: HttpOnly cookies for browsers, or in the
+// JSON body for native apps and scripts that asked for tokenDelivery: 'body'
+// Returns the fields to merge into the response body
+const deliverTokens = (req, res, accessToken, refreshToken) => {
+  if (req.validated?.tokenDelivery === 'body') {
+    return {
+      accessToken,
+      refreshToken,
+      tokenType: 'Bearer',
+      expiresIn: 15 * 60, // seconds
+    };
+  }
+
+  setTokenCookies(res, accessToken, refreshToken);
+  return {};
+};
+
 // Clear token cookies
 const clearTokenCookies = (res) => {
   res.clearCookie('accessToken', { path: '/' });
@@ -104,25 +112,87 @@ const registerUser = asyncHandler(async (req, res) => {
     email,
     passwordHash,
     displayName,
+    emailVerified: false,
   });
 
+  // Registration still succeeds if the email can't be sent; the user can resend
+  try {
+    await sendVerificationEmail(user);
+  } catch (err) {
+    logger.error('VERIFICATION_EMAIL_FAILED', { userId: String(user._id), error: err.message });
+  }
+
   // Create access and refresh tokens
-  const accessToken = signAccessToken(user._id);
-  const refreshToken = await createRefreshToken(user);
+  const { refreshToken, sessionId } = await createSession(user, req);
+  const accessToken = signAccessToken(user._id, sessionId);
 
-  // Set tokens as HttpOnly cookies
-  setTokenCookies(res, accessToken, refreshToken);
+  // Set tokens as HttpOnly cookies (or return them in the body)
+  const tokens = deliverTokens(req, res, accessToken, refreshToken);
 
   res.status(201).json({
     user: {
       _id: user._id,
       email: user.email,
       displayName: user.displayName,
+      emailVerified: user.emailVerified !== false,
     },
+    ...tokens,
   });
 });
 
+// Helper: count a failed sign-in attempt (password or 2FA code)
+// Lock account after 5 failed attempts for 30 minutes
+const recordFailedLogin = async (user) => {
+  user.loginAttempts = (user.loginAttempts || 0) + 1;
+
+  if (user.loginAttempts >= 5) {
+    user.accountLockedUntil = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
+  }
+
+  await user.save();
+};
+
+// Helper: finish a successful sign-in: reset counters, issue tokens as cookies
+const completeLogin = async (req, res, user) => {
+  // Reset login attempts on successful login
+  user.loginAttempts = 0;
+  user.accountLockedUntil = undefined;
+  user.lastLoginAt = new Date();
+  await user.save();
+
+  // Create access and refresh tokens
+  const { refreshToken, sessionId } = await createSession(user, req);
+  const accessToken = signAccessToken(user._id, sessionId);
+
+  // Set tokens as HttpOnly cookies (or return them in the body)
+  const tokens = deliverTokens(req, res, accessToken, refreshToken);
+
+  res.status(200).json({
+    user: {
+      _id: user._id,
+      email: user.email,
+      displayName: user.displayName,
+      emailVerified: user.emailVerified !== false,
+    },
+    ...tokens,
+  });
+};
+
+// Helper: the first factor (password or magic link) checked out
+// With 2FA enabled: no cookies, just a challenge token for /login/2fa
+const completeFirstFactor = async (req, res, user) => {
+  if (user.twoFactor?.enabled) {
+    return res.status(200).json({
+      twoFactorRequired: true,
+      challengeToken: signChallengeToken(user._id),
+    });
+  }
+
+  await completeLogin(req, res, user);
+};
+
 // POST /api/auth/login
+// With 2FA enabled this is step one (see completeFirstFactor)
 const loginUser = asyncHandler(async (req, res) => {
   const { email, password } = req.validated; // Already validated & sanitized
 
@@ -138,40 +208,124 @@ const loginUser = asyncHandler(async (req, res) => {
 
   const isMatch = await bcrypt.compare(password, user.passwordHash);
   if (!isMatch) {
-    // Increment failed login attempts
-    user.loginAttempts = (user.loginAttempts || 0) + 1;
-    
-    // Lock account after 5 failed attempts for 30 minutes
-    if (user.loginAttempts >= 5) {
-      user.accountLockedUntil = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
-    }
-    
-    await user.save();
+    await recordFailedLogin(user);
     throw AppError.INVALID_CREDENTIALS();
   }
 
-  // Reset login attempts on successful login
-  user.loginAttempts = 0;
-  user.accountLockedUntil = undefined;
-  user.lastLoginAt = new Date();
+  await completeFirstFactor(req, res, user);
+});
+
+// POST /api/auth/login/2fa
+// Step two: challenge token from /login plus a TOTP or recovery code
+const loginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.validated; // Already validated & sanitized
+
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (err) {
+    throw AppError.TOKEN_EXPIRED('Your sign-in attempt has expired. Please log in again');
+  }
+
+  if (decoded.purpose !== '2fa_challenge') {
+    throw AppError.TOKEN_INVALID();
+  }
+
+  const user = await User.findById(decoded.userId)
+    .select('+twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+  if (!user || !user.twoFactor?.enabled) {
+    throw AppError.TOKEN_INVALID();
+  }
+
+  if (user.accountLockedUntil && user.accountLockedUntil > Date.now()) {
+    throw AppError.ACCOUNT_LOCKED();
+  }
+
+  if (!consumeSecondFactor(user, { code, recoveryCode })) {
+    await recordFailedLogin(user);
+    throw AppError.INVALID_TWO_FACTOR_CODE();
+  }
+
+  if (recoveryCode) {
+    logger.security('TWO_FACTOR_RECOVERY_CODE_USED', {
+      userId: String(user._id),
+      remaining: user.twoFactor.recoveryCodes.length,
+    });
+  }
+
+  await completeLogin(req, res, user);
+});
+
+// POST /api/auth/magic-link
+const requestMagicLink = asyncHandler(async (req, res) => {
+  const { email } = req.validated; // Already validated & sanitized
+
+  const user = await User.findOne({ email });
+
+  // Always respond success to prevent email enumeration attacks
+  if (!user) {
+    return res.status(200).json({
+      message: "If that email exists, a sign-in link has been sent.",
+    });
+  }
+
+  const { token, tokenHash } = createHashedToken();
+
+  user.magicLinkToken = tokenHash;
+  user.magicLinkExpires = Date.now() + 15 * 60 * 1000; // 15 minutes
   await user.save();
 
-  // Create access and refresh tokens
-  const accessToken = signAccessToken(user._id);
-  const refreshToken = await createRefreshToken(user);
+  const loginUrl = `${process.env.FRONTEND_URL}/magic-link?token=${token}`;
 
-  // Set tokens as HttpOnly cookies
-  setTokenCookies(res, accessToken, refreshToken);
+  await sendEmail({
+    to: user.email,
+    subject: "Your sign-in link",
+    html: `
+      <h3>Sign in</h3>
+      <p>Use this link to sign in without a password.</p>
+      <p>It works once and expires in 15 minutes. If you didn't ask for it, you can ignore this email.</p>
+      <a href="${loginUrl}">${loginUrl}</a>
+    `,
+  });
 
   res.status(200).json({
-    user: {
-      _id: user._id,
-      email: user.email,
-      displayName: user.displayName,
-    },
+    message: "If that email exists, a sign-in link has been sent.",
   });
 });
 
+// POST /api/auth/magic-link/verify
+const consumeMagicLink = asyncHandler(async (req, res) => {
+  const { token } = req.validated; // Already validated & sanitized
+
+  // Atomic: clearing the token in the same update makes the link single-use
+  const user = await User.findOneAndUpdate(
+    {
+      magicLinkToken: hashToken(token),
+      magicLinkExpires: { $gt: Date.now() },
+    },
+    { $unset: { magicLinkToken: 1, magicLinkExpires: 1 } },
+    { new: true }
+  );
+
+  if (!user) {
+    throw AppError.MAGIC_LINK_NOT_FOUND();
+  }
+
+  if (user.accountLockedUntil && user.accountLockedUntil > Date.now()) {
+    throw AppError.ACCOUNT_LOCKED();
+  }
+
+  // Opening the link proves the user controls the address
+  if (user.emailVerified === false) {
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+  }
+
+  await completeFirstFactor(req, res, user);
+});
+
 // POST /api/auth/forgot-password
 const forgotPassword = asyncHandler(async (req, res) => {
   const { email } = req.validated; // Already validated & sanitized
@@ -226,12 +380,12 @@ const getMe = asyncHandler(async (req, res) => {
     throw AppError.UNAUTHORIZED();
   }
 
-  const user = await User.findById(userId).select('_id email displayName');
+  const user = await User.findById(userId).select('_id email displayName role emailVerified twoFactor.enabled').lean();
   if (!user) {
     throw AppError.USER_NOT_FOUND();
   }
 
-  res.status(200).json(user);
+  res.status(200).json({ ...user, emailVerified: user.emailVerified !== false });
 });
 
 // PUT /api/auth/change-password
@@ -313,21 +467,81 @@ const resetPassword = asyncHandler(async (req, res) => {
   });
 });
 
+// POST /api/auth/verify-email
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.validated; // Already validated & sanitized
+
+  const user = await User.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    throw AppError.VERIFICATION_TOKEN_NOT_FOUND();
+  }
+
+  // Email change: the link proves the new address, so switch to it now
+  if (user.pendingEmail) {
+    const taken = await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } });
+    if (taken) {
+      user.pendingEmail = undefined;
+      user.emailVerificationToken = undefined;
+      user.emailVerificationExpires = undefined;
+      await user.save();
+      throw AppError.EMAIL_ALREADY_EXISTS();
+    }
+
+    user.email = user.pendingEmail;
+    user.pendingEmail = undefined;
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save();
+
+  res.status(200).json({
+    message: "Email verified successfully",
+  });
+});
+
+// POST /api/auth/resend-verification
+const resendVerification = asyncHandler(async (req, res) => {
+  const userId = req.user?.userId;
+
+  if (!userId) {
+    throw AppError.UNAUTHORIZED();
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw AppError.USER_NOT_FOUND();
+  }
+
+  if (user.emailVerified !== false && !user.pendingEmail) {
+    throw new AppError('Email is already verified', 409, 'CONFLICT_009', true);
+  }
+
+  await sendVerificationEmail(user);
+
+  res.status(200).json({
+    message: "Verification email sent",
+  });
+});
+
 // POST /api/auth/refresh
+// Body mode reads the refresh token from the body only, never the cookie
 const refreshAccessToken = asyncHandler(async (req, res) => {
-  const refreshToken = req.cookies.refreshToken;
+  const bodyMode = req.validated?.tokenDelivery === 'body';
+  const refreshToken = bodyMode ? req.validated.refreshToken : req.cookies.refreshToken;
 
   if (!refreshToken) {
     throw new AppError('Refresh token is required', 400, 'VALIDATION_014', true);
   }
 
-  const secret = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
-
   // Verify refresh token
-  let decoded;
-  try {
-    decoded = jwt.verify(refreshToken, secret);
-  } catch (err) {
+  const decoded = verifyRefreshToken(refreshToken);
+  if (!decoded) {
     throw new AppError('Invalid or expired refresh token', 401, 'AUTH_004', true);
   }
 
@@ -337,27 +551,42 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
     throw AppError.USER_NOT_FOUND();
   }
 
-  // Verify refresh token is in user's tokens array and not expired
-  const tokenEntry = user.refreshTokens.find(
-    (t) => t.token === refreshToken && t.expiresAt > Date.now()
-  );
+  // Verify refresh token is the current one of a live session
+  const { session, reused, family } = findSession(user, refreshToken, decoded);
+
+  if (reused) {
+    // An already-rotated token came back: it was copied. Kill the whole
+    // family so neither the thief nor the victim's copy keeps working.
+    user.refreshTokens = user.refreshTokens.filter((t) => String(t._id) !== String(family._id));
+    await user.save();
+
+    logger.security('REFRESH_TOKEN_REUSE', {
+      userId: String(user._id),
+      familyId: String(family._id),
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    });
+
+    if (!bodyMode) clearTokenCookies(res);
+    throw new AppError('Refresh token has expired or is invalid', 401, 'AUTH_004', true);
+  }
 
-  if (!tokenEntry) {
+  if (!session) {
     throw new AppError('Refresh token has expired or is invalid', 401, 'AUTH_004', true);
   }
 
   // Generate new access token
-  const newAccessToken = signAccessToken(user._id);
+  const newAccessToken = signAccessToken(user._id, session._id);
 
-  // Optionally rotate refresh token: remove old, create new
-  user.refreshTokens = user.refreshTokens.filter((t) => t.token !== refreshToken);
-  const newRefreshToken = await createRefreshToken(user);
+  // Rotate refresh token in place so the session keeps its identity
+  const newRefreshToken = await rotateSession(user, session, req);
 
-  // Set new tokens as HttpOnly cookies
-  setTokenCookies(res, newAccessToken, newRefreshToken);
+  // Set new tokens as HttpOnly cookies (or return them in the body)
+  const tokens = deliverTokens(req, res, newAccessToken, newRefreshToken);
 
   res.status(200).json({
     message: 'Token refreshed successfully',
+    ...tokens,
   });
 });
 
@@ -392,10 +621,15 @@ const logout = asyncHandler(async (req, res) => {
 module.exports = {
   registerUser,
   loginUser,
+  loginTwoFactor,
+  requestMagicLink,
+  consumeMagicLink,
   getMe,
   changePassword,
   forgotPassword,
   resetPassword,
+  verifyEmail,
+  resendVerification,
   refreshAccessToken,
   logout,
 };
\ No newline at end of file
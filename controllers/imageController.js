@@ -3,8 +3,16 @@ const axios = require("axios");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
+const os = require("os");
 const crypto = require("crypto");
+const mongoose = require("mongoose");
 const { AppError } = require('../utils/appError');
+const { processImage } = require('../utils/imageProcessing');
+const { detectImageFileType } = require('../utils/fileSignature');
+const { storage: imageStorage } = require('../storage');
+const { refreshImageReferences, deleteImage, claimImage, releaseImage } = require('../utils/images');
+const { getPaginationParams, buildPaginatedResponse } = require('../utils/pagination');
+const Image = require('../models/image');
 
 const PEXELS_API_KEY = process.env.PEXELS_API_KEY;
 
@@ -12,22 +20,24 @@ const PEXELS_API_KEY = process.env.PEXELS_API_KEY;
 // MULTER - FILE UPLOAD CONFIGURATION
 // ============================================================================
 
-const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+// Originals only live here until they're processed; they are never served
+const UPLOAD_TMP_DIR = path.join(os.tmpdir(), 'pantry-uploads');
 
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    if (!fs.existsSync(UPLOADS_DIR)) {
-      fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+    if (!fs.existsSync(UPLOAD_TMP_DIR)) {
+      fs.mkdirSync(UPLOAD_TMP_DIR, { recursive: true });
     }
-    cb(null, UPLOADS_DIR);
+    cb(null, UPLOAD_TMP_DIR);
   },
+  // No extension from originalname; the real type is detected from the content
   filename: (req, file, cb) => {
-    const uniqueSuffix = crypto.randomBytes(16).toString('hex');
-    const ext = path.extname(file.originalname).toLowerCase();
-    cb(null, `${uniqueSuffix}${ext}`);
+    cb(null, crypto.randomBytes(16).toString('hex'));
   },
 });
 
+// Cheap early rejection only: the mimetype is client-supplied. uploadImage
+// checks the file's actual signature before anything is kept.
 const fileFilter = (req, file, cb) => {
   const allowed = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
   if (allowed.includes(file.mimetype)) {
@@ -114,15 +124,163 @@ const suggestImage = asyncHandler(async (req, res) => {
 // UPLOAD IMAGE
 // ============================================================================
 
+// Helper: SHA-256 of a file on disk
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+
+// Fields shown to the uploader
+const IMAGE_FIELDS = '_id size variants references unreferencedSince createdAt';
+
+// Helper: hand an existing image to the uploader instead of storing a copy
+// Resolves false if the image was deleted before it could be claimed
+const respondWithExisting = async (res, image, userId) => {
+  const claimed = await claimImage(image, userId);
+  if (!claimed) return false;
+
+  res.status(200).json({ _id: claimed._id, variants: claimed.variants, deduplicated: true });
+  return true;
+};
+
+// POST /api/images/upload
+// Responds with every generated size instead of the original, e.g.
+// variants.thumb = { url, webpUrl, width, height }. A file that was uploaded
+// before (same SHA-256) isn't stored again; the existing URLs are returned.
 const uploadImage = asyncHandler(async (req, res) => {
   if (!req.file) {
     throw new AppError('No file uploaded', 400, 'FILE_003', true);
   }
 
-  const baseUrl = `${req.protocol}://${req.get('host')}`;
-  const imageUrl = `${baseUrl}/uploads/${req.file.filename}`;
+  const baseName = req.file.filename;
+  let processed;
+  let hash;
+
+  try {
+    const type = await detectImageFileType(req.file.path);
+    if (!type) {
+      throw new AppError('Only image files are allowed (JPEG, PNG, GIF, WebP)', 400, 'FILE_001', true);
+    }
+
+    hash = await hashFile(req.file.path);
+
+    // Falls through to storing a fresh copy if the existing one was deleted
+    const existing = await Image.findOne({ hash });
+    if (existing && await respondWithExisting(res, existing, req.user.userId)) {
+      return;
+    }
+
+    processed = await processImage(req.file.path, type);
+  } finally {
+    // Runs on rejection too, so nothing unvalidated stays on disk; on
+    // success the original still has its EXIF data, so it isn't kept either
+    await fs.promises.rm(req.file.path, { force: true });
+  }
+
+  // Store every output; if anything fails, remove the ones already written
+  const written = [];
+  const variants = {};
+  let size = 0;
+  let image;
+
+  try {
+    for (const [name, variant] of Object.entries(processed)) {
+      const fallbackKey = `${baseName}-${name}${variant.fallback.ext}`;
+      const webpKey = `${baseName}-${name}${variant.webp.ext}`;
+
+      await imageStorage.put(fallbackKey, variant.fallback.buffer, { contentType: variant.fallback.contentType });
+      written.push(fallbackKey);
+      await imageStorage.put(webpKey, variant.webp.buffer, { contentType: variant.webp.contentType });
+      written.push(webpKey);
+
+      size += variant.fallback.buffer.length + variant.webp.buffer.length;
+      variants[name] = {
+        url: imageStorage.getUrl(fallbackKey, req),
+        webpUrl: imageStorage.getUrl(webpKey, req),
+        width: variant.width,
+        height: variant.height,
+      };
+    }
+
+    image = await Image.create({
+      uploaderIds: [req.user.userId],
+      refCount: 1,
+      hash,
+      size,
+      keys: written,
+      variants,
+    });
+  } catch (err) {
+    await Promise.allSettled(written.map((key) => imageStorage.delete(key)));
+
+    // The same file was uploaded concurrently and won the unique hash index
+    if (err.code === 11000) {
+      const existing = await Image.findOne({ hash });
+      if (existing && await respondWithExisting(res, existing, req.user.userId)) {
+        return;
+      }
+    }
+    throw err;
+  }
+
+  res.status(200).json({ _id: image._id, variants });
+});
+
+// GET /api/images/mine  (uploads by the current user)
+// Unused uploads are deleted automatically once unreferencedSince is older
+// than the grace period (see jobs/imageSweep)
+const getMyImages = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = getPaginationParams(req.query);
+  const filter = { uploaderIds: req.user.userId };
+
+  const [images, total] = await Promise.all([
+    Image.find(filter).select(IMAGE_FIELDS).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+    Image.countDocuments(filter),
+  ]);
+
+  res.status(200).json(buildPaginatedResponse(images, total, page, limit));
+});
+
+// DELETE /api/images/:id  (uploader)
+// Removes the image from the user's uploads. The files are only deleted once
+// no other uploader holds the same image, and never while the last holder
+// still shows it on a store or product.
+const deleteMyImage = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid image ID format', 400, 'VALIDATION_012', true);
+  }
+
+  const image = await Image.findOne({ _id: id, uploaderIds: userId });
+  if (!image) {
+    throw AppError.IMAGE_NOT_FOUND();
+  }
+
+  // Others uploaded the same file: just drop this user's hold on it
+  if (image.refCount > 1) {
+    await releaseImage(image, userId);
+    return res.status(200).json({ message: 'Image removed from your uploads' });
+  }
+
+  const references = await refreshImageReferences(image);
+  if (references.length) {
+    throw new AppError(`This image is still used by ${references.length} store(s) or product(s)`, 409, 'CONFLICT_012', true);
+  }
+
+  // Skipped if someone uploaded the same file in the meantime
+  const deleted = await deleteImage(image, { refCount: { $lte: 1 } });
+  if (!deleted) {
+    await releaseImage(image, userId);
+    return res.status(200).json({ message: 'Image removed from your uploads' });
+  }
 
-  res.status(200).json({ imageUrl });
+  res.status(200).json({ message: 'Image deleted' });
 });
 
-module.exports = { suggestImage, upload, uploadImage };
\ No newline at end of file
+module.exports = { suggestImage, upload, uploadImage, getMyImages, deleteMyImage };
\ No newline at end of file
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const { AppError } = require('../utils/appError');
+const { getPaginationParams, buildPaginatedResponse } = require('../utils/pagination');
+const { adjustQuantity, getLedgerBalance } = require('../utils/inventoryLedger');
+const { getVisitorHash } = require('../utils/visitor');
+const { assertStoreAccess } = require('../utils/storeAccess');
+const InventoryTransaction = require('../models/inventoryTransaction');
+const Product = require('../models/product');
+const Store = require('../models/store');
+
+// GET /api/products/:id/history  (store members)
+const getProductHistory = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { page, limit, skip } = getPaginationParams(req.query);
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid product ID format', 400, 'VALIDATION_012', true);
+  }
+
+  const product = await Product.findById(id).select('_id name quantity storeId').lean();
+  if (!product) {
+    throw AppError.PRODUCT_NOT_FOUND();
+  }
+
+  const store = await Store.findById(product.storeId);
+  if (!store) {
+    throw AppError.STORE_NOT_FOUND();
+  }
+
+  await assertStoreAccess(store, req.user, 'inventory:read', 'products:manage_any');
+
+  const filter = { productId: product._id };
+
+  const [total, transactions, ledgerBalance] = await Promise.all([
+    InventoryTransaction.countDocuments(filter),
+    InventoryTransaction.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('actorId', '_id displayName')
+      .lean(),
+    getLedgerBalance(product._id),
+  ]);
+
+  const response = buildPaginatedResponse(transactions, total, page, limit);
+  res.status(200).json({
+    product,
+    ledgerBalance,
+    // false means quantity was changed outside the ledger
+    reconciled: ledgerBalance === product.quantity,
+    ...response,
+  });
+});
+
+// GET /api/stores/:storeId/history  (store members)
+// Optional filters: ?productId=...&reason=restock
+const getStoreHistory = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { productId, reason } = req.query;
+  const { page, limit, skip } = getPaginationParams(req.query);
+
+  if (!mongoose.Types.ObjectId.isValid(storeId)) {
+    throw new AppError('Invalid store ID format', 400, 'VALIDATION_012', true);
+  }
+
+  const store = await Store.findById(storeId);
+  if (!store) {
+    throw AppError.STORE_NOT_FOUND();
+  }
+
+  await assertStoreAccess(store, req.user, 'inventory:read', 'products:manage_any');
+
+  const filter = { storeId: store._id };
+
+  if (productId) {
+    if (!mongoose.Types.ObjectId.isValid(productId)) {
+      throw new AppError('Invalid product ID format', 400, 'VALIDATION_012', true);
+    }
+    filter.productId = productId;
+  }
+
+  if (reason) {
+    if (!InventoryTransaction.REASONS.includes(reason)) {
+      throw new AppError(`Reason must be one of: ${InventoryTransaction.REASONS.join(', ')}`, 400, 'VALIDATION_015', true);
+    }
+    filter.reason = reason;
+  }
+
+  const [total, transactions] = await Promise.all([
+    InventoryTransaction.countDocuments(filter),
+    InventoryTransaction.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('productId', '_id name')
+      .populate('actorId', '_id displayName')
+      .lean(),
+  ]);
+
+  const response = buildPaginatedResponse(transactions, total, page, limit);
+  res.status(200).json(response);
+});
+
+// Shared handler for anonymous visitor reports; sign is -1 for "took", +1 for "restocked"
+const visitorAdjustment = (reason, sign) => asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { amount = 1 } = req.validated || {}; // Already validated (body is optional)
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid product ID format', 400, 'VALIDATION_012', true);
+  }
+
+  // Hidden products (archived store, expired) can't be reported on
+  const product = await Product.findById(id).select('_id archivedAt expiresAt').lean();
+  const isExpired = Boolean(product?.expiresAt && product.expiresAt <= new Date());
+  if (!product || product.archivedAt || isExpired) {
+    throw AppError.PRODUCT_NOT_FOUND();
+  }
+
+  // Atomic: the decrement only applies while enough stock is left
+  const updated = await adjustQuantity(id, sign * amount, {
+    reason,
+    actorId: req.user?.userId || null,
+    visitorHash: getVisitorHash(req),
+    note: 'Reported by visitor',
+  });
+
+  if (!updated) {
+    throw AppError.INSUFFICIENT_STOCK();
+  }
+
+  res.status(200).json({
+    _id: updated._id,
+    name: updated.name,
+    quantity: updated.quantity,
+  });
+});
+
+// POST /api/products/:id/take  (public)
+const takeProduct = visitorAdjustment('taken', -1);
+
+// POST /api/products/:id/restock  (public)
+const restockProduct = visitorAdjustment('restock', 1);
+
+module.exports = {
+  getProductHistory,
+  getStoreHistory,
+  takeProduct,
+  restockProduct,
+};
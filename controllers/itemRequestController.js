@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const { AppError } = require('../utils/appError');
+const { getPaginationParams, buildPaginatedResponse } = require('../utils/pagination');
+const { getVisitorHash } = require('../utils/visitor');
+const { assertStoreAccess } = require('../utils/storeAccess');
+const ItemRequest = require('../models/itemRequest');
+const ItemRequestVote = require('../models/itemRequestVote');
+const Product = require('../models/product');
+const Store = require('../models/store');
+
+// Helper: load a store by the :storeId route param (404 if missing)
+const findStoreOrFail = async (storeId) => {
+  if (!mongoose.Types.ObjectId.isValid(storeId)) {
+    throw new AppError('Invalid store ID format', 400, 'VALIDATION_012', true);
+  }
+
+  const store = await Store.findById(storeId);
+  if (!store) {
+    throw AppError.STORE_NOT_FOUND();
+  }
+
+  return store;
+};
+
+// Helper: load a request belonging to the given store (404 if missing)
+const findRequestOrFail = async (storeId, requestId, select) => {
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    throw new AppError('Invalid request ID format', 400, 'VALIDATION_012', true);
+  }
+
+  const query = ItemRequest.findOne({ _id: requestId, storeId });
+  if (select) query.select(select);
+
+  const itemRequest = await query;
+  if (!itemRequest) {
+    throw AppError.ITEM_REQUEST_NOT_FOUND();
+  }
+
+  return itemRequest;
+};
+
+// GET /api/stores/:storeId/requests?status=open
+// Most-wanted first
+const getItemRequests = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { status = 'open' } = req.query;
+  const { page, limit, skip } = getPaginationParams(req.query);
+
+  await findStoreOrFail(storeId);
+
+  if (status !== 'all' && !ItemRequest.STATUSES.includes(status)) {
+    throw new AppError(`Status must be one of: ${ItemRequest.STATUSES.join(', ')}, all`, 400, 'VALIDATION_015', true);
+  }
+
+  const filter = { storeId };
+  if (status !== 'all') filter.status = status;
+
+  const [total, requests] = await Promise.all([
+    ItemRequest.countDocuments(filter),
+    ItemRequest.find(filter)
+      .sort({ upvotes: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  const response = buildPaginatedResponse(requests, total, page, limit);
+  res.status(200).json(response);
+});
+
+// POST /api/stores/:storeId/requests  (public)
+const createItemRequest = asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { text } = req.validated; // Already validated & sanitized
+
+  const store = await findStoreOrFail(storeId);
+  if (store.archivedAt) {
+    throw AppError.STORE_ARCHIVED();
+  }
+
+  const textKey = text.toLowerCase();
+  const visitorHash = getVisitorHash(req);
+
+  // The requester's own request counts as their vote
+  let itemRequest;
+  try {
+    itemRequest = await ItemRequest.create({
+      storeId,
+      text,
+      textKey,
+      visitorHash,
+      upvotes: 1,
+    });
+  } catch (err) {
+    // One open request per item (unique index): point people at the existing one to upvote
+    if (err.code === 11000) {
+      throw new AppError('This item has already been requested. Upvote it instead', 409, 'CONFLICT_005', true);
+    }
+    throw err;
+  }
+  await ItemRequestVote.create({ requestId: itemRequest._id, voterKey: visitorHash });
+
+  res.status(201).json(await ItemRequest.findById(itemRequest._id).lean());
+});
+
+// POST /api/stores/:storeId/requests/:requestId/upvote  (public)
+const upvoteItemRequest = asyncHandler(async (req, res) => {
+  const { storeId, requestId } = req.params;
+
+  const store = await findStoreOrFail(storeId);
+  if (store.archivedAt) {
+    throw AppError.STORE_ARCHIVED();
+  }
+
+  const current = await findRequestOrFail(storeId, requestId, '_id status');
+  if (current.status !== 'open') {
+    throw new AppError('Only open requests can be upvoted', 409, 'CONFLICT_006', true);
+  }
+
+  const voterKey = getVisitorHash(req);
+
+  // The unique (requestId, voterKey) index makes the vote count at most once
+  try {
+    await ItemRequestVote.create({ requestId, voterKey });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new AppError('You have already upvoted this request', 409, 'CONFLICT_007', true);
+    }
+    throw err;
+  }
+
+  const itemRequest = await ItemRequest.findOneAndUpdate(
+    { _id: requestId, storeId, status: 'open' },
+    { $inc: { upvotes: 1 } },
+    { new: true }
+  ).lean();
+
+  // Closed between the check above and the vote
+  if (!itemRequest) {
+    await ItemRequestVote.deleteOne({ requestId, voterKey });
+    throw new AppError('Only open requests can be upvoted', 409, 'CONFLICT_006', true);
+  }
+
+  res.status(200).json(itemRequest);
+});
+
+// PUT /api/stores/:storeId/requests/:requestId/status  (owner, manager or moderator)
+const updateItemRequestStatus = asyncHandler(async (req, res) => {
+  const { storeId, requestId } = req.params;
+  const { status, productId, note } = req.validated; // Already validated & sanitized
+
+  const store = await findStoreOrFail(storeId);
+
+  // Moderators can handle any store's needs list
+  await assertStoreAccess(store, req.user, 'requests:manage', 'requests:moderate');
+
+  const itemRequest = await findRequestOrFail(storeId, requestId);
+
+  if (productId) {
+    const product = await Product.findById(productId).select('storeId');
+    if (!product) {
+      throw AppError.PRODUCT_NOT_FOUND();
+    }
+    if (String(product.storeId) !== String(store._id)) {
+      throw AppError.PRODUCT_NOT_IN_STORE();
+    }
+  }
+
+  itemRequest.status = status;
+  itemRequest.fulfilledProductId = status === 'fulfilled' ? productId || null : null;
+  itemRequest.statusNote = note;
+  itemRequest.statusChangedAt = new Date();
+  itemRequest.statusChangedBy = req.user.userId;
+
+  let updated;
+  try {
+    updated = await itemRequest.save();
+  } catch (err) {
+    // Reopening while another open request for the same item exists (unique index)
+    if (err.code === 11000) {
+      throw new AppError('Another open request for this item already exists', 409, 'CONFLICT_005', true);
+    }
+    throw err;
+  }
+
+  res.status(200).json(updated);
+});
+
+module.exports = {
+  getItemRequests,
+  createItemRequest,
+  upvoteItemRequest,
+  updateItemRequestStatus,
+};
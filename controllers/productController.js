@@ -4,15 +4,22 @@ const Store = require('../models/store');
 const asyncHandler = require('express-async-handler');
 const { AppError } = require('../utils/appError');
 const { getPaginationParams, buildPaginatedResponse, parseSortParam } = require('../utils/pagination');
+const { PRODUCT_CATEGORIES, DIETARY_TAGS, ALLERGEN_TAGS } = require('../utils/productTaxonomy');
+const { createProductWithStock, setQuantity } = require('../utils/inventoryLedger');
+const { checkStockAlert } = require('../utils/stockAlerts');
+const { assertStoreAccess } = require('../utils/storeAccess');
 
 const getProducts = asyncHandler(async (req, res) => {
     const { page, limit, skip } = getPaginationParams(req.query);
     const sort = parseSortParam(req.query.sort);
 
+    // Products of archived stores are hidden along with the store
+    const filter = { archivedAt: null };
+
     // Get total count for pagination metadata
-    const total = await Product.countDocuments({});
+    const total = await Product.countDocuments(filter);
 
-    const products = await Product.find({})
+    const products = await Product.find(filter)
         .sort(sort)
         .skip(skip)
         .limit(limit)
@@ -22,6 +29,16 @@ const getProducts = asyncHandler(async (req, res) => {
     res.status(200).json(response);
 });
 
+// GET /api/products/taxonomy
+// Categories and tags the API accepts, for building product forms and search filters
+const getProductTaxonomy = (req, res) => {
+    res.status(200).json({
+        categories: PRODUCT_CATEGORIES,
+        dietaryTags: DIETARY_TAGS,
+        allergenTags: ALLERGEN_TAGS,
+    });
+};
+
 const getProductById = asyncHandler(async (req, res) => {
     const { id } = req.params;
     if (!mongoose.Types.ObjectId.isValid(id)) {
@@ -44,10 +61,18 @@ const getProductsByStore = asyncHandler(async (req, res) => {
         throw new AppError('Invalid store ID format', 400, 'VALIDATION_012', true);
     }
 
+    const filter = { storeId, archivedAt: null };
+
+    // Expired products are hidden unless the caller asks for them (e.g. owner cleanup views)
+    // Compared directly so items disappear the moment they expire; matches no expiresAt too
+    if (req.query.includeExpired !== 'true') {
+        filter.expiresAt = { $not: { $lte: new Date() } };
+    }
+
     // Get total count for pagination metadata
-    const total = await Product.countDocuments({ storeId });
+    const total = await Product.countDocuments(filter);
 
-    const products = await Product.find({ storeId })
+    const products = await Product.find(filter)
         .sort(sort)
         .skip(skip)
         .limit(limit)
@@ -70,29 +95,45 @@ const createProductForStore = asyncHandler(async (req, res) => {
     throw AppError.STORE_NOT_FOUND();
   }
 
-  // Owner check
-  if (store.ownerId.toString() !== req.user.userId) {
-    throw AppError.STORE_NOT_OWNED_BY_USER();
+  // Member check (admins may manage any store's products)
+  await assertStoreAccess(store, req.user, 'products:write', 'products:manage_any');
+
+  if (store.archivedAt) {
+    throw AppError.STORE_ARCHIVED();
   }
 
-  const { name, quantity, image } = req.validated; // Already validated & sanitized
+  const {
+    name, quantity, image, category, tags, expiresAt, lowStockThreshold,
+  } = req.validated; // Already validated & sanitized
 
-  const product = await Product.create({
+  const product = await createProductWithStock({
     name,
     quantity,
     image: image || undefined,
+    category,
+    tags,
+    expiresAt,
+    expired: Boolean(expiresAt && expiresAt <= new Date()),
+    lowStockThreshold,
     storeId,
-  });
+  }, { actorId: req.user.userId });
 
   res.status(201).json(product);
 });
 
 const createProduct = asyncHandler(async (req, res) => {
-    const { name, quantity, image } = req.validated; // Already validated & sanitized
-    const product = await Product.create({
+    const {
+      name, quantity, image, category, tags, expiresAt, lowStockThreshold,
+    } = req.validated; // Already validated & sanitized
+    const product = await createProductWithStock({
       name,
       quantity,
       image: image || undefined,
+      category,
+      tags,
+      expiresAt,
+      expired: Boolean(expiresAt && expiresAt <= new Date()),
+      lowStockThreshold,
     });
     res.status(201).json(product);
 });
@@ -114,18 +155,49 @@ const updateProduct = asyncHandler(async (req, res) => {
     throw AppError.STORE_NOT_FOUND();
   }
 
-  if (store.ownerId.toString() !== req.user.userId) {
-    throw AppError.STORE_NOT_OWNED_BY_USER();
+  await assertStoreAccess(store, req.user, 'products:write', 'products:manage_any');
+
+  if (store.archivedAt) {
+    throw AppError.STORE_ARCHIVED();
+  }
+
+  const {
+    name, quantity, image, category, tags, expiresAt, lowStockThreshold, quantityReason, quantityNote,
+  } = req.validated; // Already validated & sanitized
+
+  // quantity is not set here: it goes through the inventory ledger below
+  const update = { name, image: image || undefined, category, tags };
+
+  // A new (or cleared) expiration date resets the expiry state so the sweep
+  // and the owner digest treat the product as fresh
+  if (expiresAt !== undefined) {
+    update.expiresAt = expiresAt;
+    update.expired = Boolean(expiresAt && expiresAt <= new Date());
+    update.expiryNotifiedAt = null;
   }
 
-  const { name, quantity, image } = req.validated; // Already validated & sanitized
+  // null clears the product override so the store's threshold applies
+  if (lowStockThreshold !== undefined) {
+    update.lowStockThreshold = lowStockThreshold;
+  }
   
-  const updatedProduct = await Product.findByIdAndUpdate(
+  let updatedProduct = await Product.findByIdAndUpdate(
     id,
-    { name, quantity, image: image || undefined },
+    update,
     { new: true, runValidators: true }
   );
 
+  if (quantity !== undefined && quantity !== updatedProduct.quantity) {
+    updatedProduct = await setQuantity(id, quantity, {
+      reason: quantityReason || 'correction',
+      actorId: req.user.userId,
+      note: quantityNote,
+    });
+  } else if (lowStockThreshold !== undefined) {
+    // Quantity changes already trigger this; a new threshold alone needs a re-check
+    checkStockAlert(updatedProduct);
+  }
+
   res.status(200).json(updatedProduct);
 });
 
@@ -146,8 +218,15 @@ const deleteProduct = asyncHandler(async (req, res) => {
     throw AppError.STORE_NOT_FOUND();
   }
 
-  if (store.ownerId.toString() !== req.user.userId) {
-    throw AppError.STORE_NOT_OWNED_BY_USER();
+  await assertStoreAccess(store, req.user, 'products:write', 'products:manage_any');
+
+  // Zero the stock first so the store's ledger history accounts for it
+  if (product.quantity > 0) {
+    await setQuantity(id, 0, {
+      reason: 'correction',
+      actorId: req.user.userId,
+      note: 'Product deleted',
+    });
   }
 
   await Product.findByIdAndDelete(id);
@@ -157,6 +236,7 @@ const deleteProduct = asyncHandler(async (req, res) => {
 
 module.exports = {
     getProducts,
+    getProductTaxonomy,
     getProductById,
     createProduct,
     updateProduct,
@@ -2,12 +2,14 @@ const asyncHandler = require('express-async-handler');
 const Store = require('../models/store');
 const Product = require('../models/product');
 const { getPaginationParams, buildPaginatedResponse, parseSortParam } = require('../utils/pagination');
+const { buildOpenNowFilter } = require('../utils/openingHours');
+const { getTaxonomyLabel } = require('../utils/productTaxonomy');
 // To prevent abuse, limit the number of stores returned in search results. This is a soft limit
 const STORES_LIMIT = 200;
 
 const search = asyncHandler(async (req, res) => {
   // q is the public API param name; aliased to 'keyword' here for clarity
-  const { q: keyword, location, lat, lng, radiusKm } = req.validated; // Already validated & sanitized
+  const { q: keyword, location, lat, lng, radiusKm, openNow, category, tags, includeExpired } = req.validated; // Already validated & sanitized
   const { page, limit, skip } = getPaginationParams(req.query);
   const sort = parseSortParam(req.query.sort);
 
@@ -27,8 +29,17 @@ const search = asyncHandler(async (req, res) => {
     };
   }
 
+  // "open now" is evaluated against each store's hours in its own timezone
+  let openNowFilter = null;
+
+  if (openNow) {
+    const timeZones = await Store.distinct('hours.timezone', { archivedAt: null });
+    openNowFilter = buildOpenNowFilter(timeZones);
+  }
+
   // 1) Find "location stores" first (only based on location)
-  const locationStoreFilter = {};
+  // Archived stores and their products never appear in search results
+  const locationStoreFilter = { archivedAt: null };
 
   // location text filter — $text uses the (name, addressText) text index;
   if (location) {
@@ -40,6 +51,11 @@ const search = asyncHandler(async (req, res) => {
     Object.assign(locationStoreFilter, geoFilter);
   }
 
+  // opening hours filter
+  if (openNowFilter) {
+    Object.assign(locationStoreFilter, openNowFilter);
+  }
+
   const locationStores = await Store.find(locationStoreFilter)
     .select('_id name addressText image geo ownerId')
     .sort({ createdAt: -1 })
@@ -49,21 +65,55 @@ const search = asyncHandler(async (req, res) => {
   const locationStoreIds = locationStores.map((s) => s._id);
 
   // 2) Products: match keyword AND match location storeIds (if provided)
-  const productFilter = {};
+  const productFilter = { archivedAt: null };
+  // Compared directly so items disappear the moment they expire; matches no expiresAt too
+  if (!includeExpired) productFilter.expiresAt = { $not: { $lte: new Date() } };
   if (keyword) productFilter.$text = { $search: keyword };
-  if (location || geoFilter) productFilter.storeId = { $in: locationStoreIds };
-
-  // countDocuments and find are independent — run them in parallel
-  const [totalProducts, productsRaw] = await Promise.all([
-    Product.countDocuments(productFilter),
-    Product.find(productFilter)
-      .select('_id name quantity image storeId createdAt')
+  if (location || geoFilter || openNowFilter) productFilter.storeId = { $in: locationStoreIds };
+
+  // Category/tag filters are kept out of productFilter so the facet counts
+  // below can be computed with and without them
+  const categoryFilter = category ? { category } : {};
+  const tagsFilter = tags?.length ? { tags: { $all: tags } } : {};
+  const filteredProductFilter = { ...productFilter, ...categoryFilter, ...tagsFilter };
+
+  // count, find and facets are independent — run them in parallel
+  const [totalProducts, productsRaw, [facetCounts]] = await Promise.all([
+    Product.countDocuments(filteredProductFilter),
+    Product.find(filteredProductFilter)
+      .select('_id name quantity image category tags expiresAt storeId createdAt')
       .sort(sort)
       .skip(skip)
       .limit(limit)
       .lean(),
+    // Category counts ignore the selected category (so other categories stay
+    // selectable); tag counts apply everything since tags narrow with $all
+    Product.aggregate([
+      { $match: productFilter },
+      {
+        $facet: {
+          categories: [
+            { $match: { ...tagsFilter, category: { $ne: null } } },
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+          tags: [
+            { $match: { ...categoryFilter, ...tagsFilter } },
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+        },
+      },
+    ]),
   ]);
 
+  const toFacet = ({ _id, count }) => ({ value: _id, label: getTaxonomyLabel(_id), count });
+  const facets = {
+    categories: facetCounts.categories.map(toFacet),
+    tags: facetCounts.tags.map(toFacet),
+  };
+
   // 3) Stores result logic
   let stores = [];
 
@@ -77,7 +127,7 @@ const search = asyncHandler(async (req, res) => {
     ];
 
     const storeQueries = [
-      Store.find({ $text: { $search: keyword }, ...(geoFilter || {}) })
+      Store.find({ $text: { $search: keyword }, archivedAt: null, ...(geoFilter || {}), ...(openNowFilter || {}) })
         .select('_id name addressText image geo ownerId')
         .sort({ createdAt: -1 })
         .limit(STORES_LIMIT)
@@ -86,7 +136,7 @@ const search = asyncHandler(async (req, res) => {
 
     if (productStoreIds.length) {
       storeQueries.push(
-        Store.find({ _id: { $in: productStoreIds }, ...(geoFilter || {}) })
+        Store.find({ _id: { $in: productStoreIds }, archivedAt: null, ...(geoFilter || {}), ...(openNowFilter || {}) })
           .select('_id name addressText image geo ownerId')
           .limit(STORES_LIMIT)
           .lean()
@@ -139,8 +189,9 @@ const search = asyncHandler(async (req, res) => {
   const productsResponse = buildPaginatedResponse(products, totalProducts, page, limit);
 
   res.status(200).json({
-    query: { q: keyword, location },
+    query: { q: keyword, location, openNow: Boolean(openNow), category, tags },
     stores,
+    facets,
     ...productsResponse,
   });
 });
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const { AppError } = require('../utils/appError');
+const { getCurrentSessionId } = require('../utils/refreshTokens');
+
+const User = require('../models/user');
+
+// Revoking a session removes its refresh token; the device's access token
+// (15 minutes at most) runs out on its own.
+
+// Helper: load the signed-in user with their sessions
+const findCurrentUser = async (req) => {
+  const userId = req.user?.userId;
+
+  if (!userId) {
+    throw AppError.UNAUTHORIZED();
+  }
+
+  const user = await User.findById(userId).select('refreshTokens');
+  if (!user) {
+    throw AppError.USER_NOT_FOUND();
+  }
+
+  return user;
+};
+
+// GET /api/auth/sessions
+const getSessions = asyncHandler(async (req, res) => {
+  const user = await findCurrentUser(req);
+  const currentSessionId = getCurrentSessionId(user, req);
+
+  // Tokens are never returned, only device metadata
+  const sessions = user.refreshTokens
+    .filter((t) => t.expiresAt > Date.now())
+    .map((t) => ({
+      _id: t._id,
+      createdAt: t.createdAt,
+      lastUsedAt: t.lastUsedAt || t.createdAt,
+      expiresAt: t.expiresAt,
+      userAgent: t.userAgent || null,
+      ipAddress: t.ipAddress || null,
+      current: String(t._id) === currentSessionId,
+    }))
+    .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+
+  res.status(200).json({ sessions });
+});
+
+// DELETE /api/auth/sessions/:id
+const revokeSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid session ID format', 400, 'VALIDATION_012', true);
+  }
+
+  const user = await findCurrentUser(req);
+
+  const remaining = user.refreshTokens.filter((t) => String(t._id) !== id);
+  if (remaining.length === user.refreshTokens.length) {
+    throw AppError.SESSION_NOT_FOUND();
+  }
+
+  user.refreshTokens = remaining;
+  await user.save();
+
+  res.status(200).json({
+    message: 'Session revoked',
+  });
+});
+
+// DELETE /api/auth/sessions
+// Log out everywhere except the device making the request
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+  const user = await findCurrentUser(req);
+  const currentSessionId = getCurrentSessionId(user, req);
+
+  const before = user.refreshTokens.length;
+  user.refreshTokens = user.refreshTokens.filter((t) => String(t._id) === currentSessionId);
+  await user.save();
+
+  res.status(200).json({
+    message: 'Signed out of all other sessions',
+    revoked: before - user.refreshTokens.length,
+  });
+});
+
+module.exports = {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+};
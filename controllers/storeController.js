@@ -2,7 +2,26 @@ const mongoose = require('mongoose');
 const asyncHandler = require('express-async-handler');
 const { AppError } = require('../utils/appError');
 const { getPaginationParams, buildPaginatedResponse, parseSortParam } = require('../utils/pagination');
+const { buildBoundingBoxFilter, getClusterCellSize } = require('../utils/geo');
+const { buildOpenNowFilter } = require('../utils/openingHours');
+const { assertStoreAccess } = require('../utils/storeAccess');
+const { archiveStore } = require('../utils/storeLifecycle');
+const { runInTransaction } = require('../utils/transactions');
 const Store = require('../models/store'); 
+const Product = require('../models/product');
+const User = require('../models/user');
+const StoreMembership = require('../models/storeMembership');
+const StoreInvitation = require('../models/storeInvitation');
+const ItemRequest = require('../models/itemRequest');
+const ItemRequestVote = require('../models/itemRequestVote');
+
+// Radius used by the nearby endpoint when the client doesn't send maxKm
+const DEFAULT_NEARBY_KM = 25;
+
+// Viewport requests at or below this zoom get grid clusters instead of stores
+const CLUSTER_MAX_ZOOM = 12;
+// Safety cap for the individual-stores mode of the viewport endpoint
+const VIEWPORT_STORES_LIMIT = 500;
 
 // GET /api/stores with pagination
 const getStores = asyncHandler(async (req, res) => {
@@ -16,6 +35,15 @@ const getStores = asyncHandler(async (req, res) => {
         ? { $text: { $search: search } }
         : {};
 
+    // Archived stores never show up in listings
+    filter.archivedAt = null;
+
+    // openNow=true: evaluate each store's hours in its own timezone
+    if (req.query.openNow === 'true') {
+        const timeZones = await Store.distinct('hours.timezone', { archivedAt: null });
+        Object.assign(filter, buildOpenNowFilter(timeZones));
+    }
+
     // Get total count for pagination metadata
     const total = await Store.countDocuments(filter);
 
@@ -29,6 +57,152 @@ const getStores = asyncHandler(async (req, res) => {
     res.status(200).json(response);
 });
 
+// GET /api/stores/nearby?lat=28.6&lng=-81.3&maxKm=10
+// Closest stores first, each with a computed distanceKm
+const getNearbyStores = asyncHandler(async (req, res) => {
+    const { lat, lng, maxKm = DEFAULT_NEARBY_KM } = req.validated; // Already validated & sanitized
+    const { page, limit, skip } = getPaginationParams(req.query);
+
+    // $geoNear must be the first stage and uses the geo 2dsphere index; it
+    // already returns documents ordered by distance, so no extra $sort needed.
+    // $facet lets us page through the results and count them in one round trip.
+    const [result] = await Store.aggregate([
+        {
+            $geoNear: {
+                near: { type: 'Point', coordinates: [lng, lat] },
+                key: 'geo',
+                distanceField: 'distanceMeters',
+                maxDistance: maxKm * 1000,
+                spherical: true,
+                query: { archivedAt: null },
+            },
+        },
+        {
+            $facet: {
+                data: [
+                    { $skip: skip },
+                    { $limit: limit },
+                    {
+                        $addFields: {
+                            distanceKm: { $round: [{ $divide: ['$distanceMeters', 1000] }, 2] },
+                        },
+                    },
+                    { $project: { distanceMeters: 0 } },
+                ],
+                total: [{ $count: 'count' }],
+            },
+        },
+    ]);
+
+    const total = result.total[0]?.count || 0;
+
+    const response = buildPaginatedResponse(result.data, total, page, limit);
+    res.status(200).json({
+        query: { lat, lng, maxKm },
+        ...response,
+    });
+});
+
+// GET /api/stores/viewport?swLat=..&swLng=..&neLat=..&neLng=..&zoom=..
+// Zoomed out: one cluster per grid cell with a count. Zoomed in: the stores themselves.
+const getStoresInViewport = asyncHandler(async (req, res) => {
+    const { swLat, swLng, neLat, neLng, zoom } = req.validated; // Already validated & sanitized
+
+    const boundingBox = buildBoundingBoxFilter({ swLat, swLng, neLat, neLng });
+    const cellSize = getClusterCellSize(zoom);
+
+    // Viewport entirely beyond the Mercator limit: no stores can be there
+    if (!boundingBox) {
+        return res.status(200).json(zoom > CLUSTER_MAX_ZOOM
+            ? { mode: 'stores', zoom, truncated: false, stores: [] }
+            : { mode: 'clusters', zoom, cellSizeDeg: cellSize, total: 0, clusters: [] });
+    }
+
+    const match = {
+        archivedAt: null,
+        ...boundingBox,
+    };
+
+    if (zoom > CLUSTER_MAX_ZOOM) {
+        // Fetch one extra document so we can tell the client the list was cut off
+        const stores = await Store.find(match)
+            .select('_id name addressText image geo')
+            .limit(VIEWPORT_STORES_LIMIT + 1)
+            .lean();
+
+        return res.status(200).json({
+            mode: 'stores',
+            zoom,
+            truncated: stores.length > VIEWPORT_STORES_LIMIT,
+            stores: stores.slice(0, VIEWPORT_STORES_LIMIT),
+        });
+    }
+
+    const cells = await Store.aggregate([
+        { $match: match },
+        {
+            $project: {
+                name: 1,
+                addressText: 1,
+                image: 1,
+                lng: { $arrayElemAt: ['$geo.coordinates', 0] },
+                lat: { $arrayElemAt: ['$geo.coordinates', 1] },
+            },
+        },
+        {
+            $group: {
+                _id: {
+                    x: { $floor: { $divide: ['$lng', cellSize] } },
+                    y: { $floor: { $divide: ['$lat', cellSize] } },
+                },
+                count: { $sum: 1 },
+                lng: { $avg: '$lng' },
+                lat: { $avg: '$lat' },
+                swLng: { $min: '$lng' },
+                swLat: { $min: '$lat' },
+                neLng: { $max: '$lng' },
+                neLat: { $max: '$lat' },
+                store: { $first: { _id: '$_id', name: '$name', addressText: '$addressText', image: '$image' } },
+            },
+        },
+    ]);
+
+    let total = 0;
+    const clusters = cells.map((cell) => {
+        total += cell.count;
+        return {
+            id: `${zoom}:${cell._id.x}:${cell._id.y}`,
+            count: cell.count,
+            lat: cell.lat,
+            lng: cell.lng,
+            // Lets the client zoom to fit the cluster's stores
+            bounds: { swLat: cell.swLat, swLng: cell.swLng, neLat: cell.neLat, neLng: cell.neLng },
+            // A cell holding a single store is rendered as a regular marker
+            ...(cell.count === 1 && { store: cell.store }),
+        };
+    });
+
+    res.status(200).json({
+        mode: 'clusters',
+        zoom,
+        cellSizeDeg: cellSize,
+        total,
+        clusters,
+    });
+});
+
+// Helper: may this (possibly anonymous) caller see an archived store?
+const canViewArchivedStore = async (store, user) => {
+    if (!user) return false;
+
+    try {
+        await assertStoreAccess(store, user, 'members:read', 'stores:moderate');
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
 // GET /api/stores/:id
 const getStoreById = asyncHandler(async (req, res) => {
     const { id } = req.params;
@@ -42,12 +216,18 @@ const getStoreById = asyncHandler(async (req, res) => {
         throw AppError.STORE_NOT_FOUND();
     }
 
+    // Archived stores are hidden from the public like they are in listings;
+    // members and moderators still see them (e.g. to restore one)
+    if (store.archivedAt && !(await canViewArchivedStore(store, req.user))) {
+        throw AppError.STORE_NOT_FOUND();
+    }
+
     res.status(200).json(store);
 });
 
 // POST /api/stores
 const createStore = asyncHandler(async (req, res) => {
-    const { name, addressText, image, geo } = req.validated; // Already validated & sanitized
+    const { name, addressText, image, geo, hours, lowStockThreshold } = req.validated; // Already validated & sanitized
     const ownerId = req.user?.userId;
 
     if (!ownerId) {
@@ -59,13 +239,20 @@ const createStore = asyncHandler(async (req, res) => {
       addressText,
       image,
       geo,
+      hours,
+      lowStockThreshold,
       ownerId,
     });
 
+    await StoreMembership.create({ storeId: store._id, userId: ownerId, role: 'owner' });
+
+    // Running a store makes a plain user a store manager
+    await User.updateOne({ _id: ownerId, role: 'user' }, { role: 'store_manager' });
+
     res.status(201).json(store);
 });
 
-// PUT /api/stores/:id  (owner only)
+// PUT /api/stores/:id  (owner or manager)
 const updateStore = asyncHandler(async (req, res) => {
     const { id } = req.params;
 
@@ -78,21 +265,23 @@ const updateStore = asyncHandler(async (req, res) => {
       throw AppError.STORE_NOT_FOUND();
     }
 
-    // auth required + owner check
-    if (!req.user) {
-      throw AppError.UNAUTHORIZED();
-    }
+    // auth required + owner/manager check (admins may edit any store)
+    await assertStoreAccess(store, req.user, 'store:update');
 
-    if (String(store.ownerId) !== String(req.user._id)) {
-      throw AppError.STORE_NOT_OWNED_BY_USER();
+    if (store.archivedAt) {
+      throw AppError.STORE_ARCHIVED('Restore this store before editing it');
     }
 
     // allow updating only specific fields
-    const { name, addressText, image, geo } = req.validated; // Already validated & sanitized
+    const { name, addressText, image, geo, hours, lowStockThreshold } = req.validated; // Already validated & sanitized
 
     if (name != null) store.name = name;
     if (addressText != null) store.addressText = addressText;
     if (image != null) store.image = image;
+    // hours: null explicitly clears them
+    if (hours !== undefined) store.hours = hours || undefined;
+    // lowStockThreshold: null turns store-wide alerts off
+    if (lowStockThreshold !== undefined) store.lowStockThreshold = lowStockThreshold;
 
     // optional geo update (only if provided)
     if (geo?.coordinates) {
@@ -106,9 +295,110 @@ const updateStore = asyncHandler(async (req, res) => {
     res.status(200).json(updated);
 });
 
+// DELETE /api/stores/:id  (owner, moderator or admin)
+// Archives the store and its products by default so a closed pantry can be
+// brought back later; ?purge=true removes both permanently
+const deleteStore = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new AppError('Invalid store ID format', 400, 'VALIDATION_012', true);
+    }
+
+    const store = await Store.findById(id);
+    if (!store) {
+      throw AppError.STORE_NOT_FOUND();
+    }
+
+    const purge = req.query.purge === 'true';
+
+    // Moderators may archive (and restore) any store; only admins may purge one
+    await assertStoreAccess(
+      store,
+      req.user,
+      purge ? 'store:purge' : 'store:archive',
+      purge ? 'stores:manage_any' : 'stores:moderate'
+    );
+
+    if (purge) {
+      // Everything belonging to the store goes in one transaction.
+      // InventoryTransaction rows are kept on purpose: the ledger is an
+      // append-only audit trail and outlives the products and store it refers to.
+      const deletedCount = await runInTransaction(async (session) => {
+        const { deletedCount: productsDeleted } = await Product.deleteMany({ storeId: store._id }, { session });
+
+        const requestIds = await ItemRequest.find({ storeId: store._id }).session(session).distinct('_id');
+        await ItemRequestVote.deleteMany({ requestId: { $in: requestIds } }, { session });
+        await ItemRequest.deleteMany({ storeId: store._id }, { session });
+
+        await StoreMembership.deleteMany({ storeId: store._id }, { session });
+        await StoreInvitation.deleteMany({ storeId: store._id }, { session });
+        await store.deleteOne({ session });
+
+        return productsDeleted;
+      });
+
+      return res.status(200).json({
+        message: 'Store deleted successfully',
+        productsDeleted: deletedCount,
+      });
+    }
+
+    if (store.archivedAt) {
+      throw AppError.STORE_ARCHIVED('Store is already archived');
+    }
+
+    const productsArchived = await archiveStore(store);
+
+    res.status(200).json({
+      message: 'Store archived successfully',
+      store,
+      productsArchived,
+    });
+});
+
+// POST /api/stores/:id/restore  (owner, moderator or admin)
+const restoreStore = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      throw new AppError('Invalid store ID format', 400, 'VALIDATION_012', true);
+    }
+
+    const store = await Store.findById(id);
+    if (!store) {
+      throw AppError.STORE_NOT_FOUND();
+    }
+
+    await assertStoreAccess(store, req.user, 'store:archive', 'stores:moderate');
+
+    if (!store.archivedAt) {
+      throw new AppError('Store is not archived', 409, 'CONFLICT_002', true);
+    }
+
+    const { archivedAt } = store;
+    store.archivedAt = null;
+    await store.save();
+
+    const { modifiedCount } = await Product.updateMany(
+      { storeId: store._id, archivedAt },
+      { archivedAt: null }
+    );
+
+    res.status(200).json({
+      message: 'Store restored successfully',
+      store,
+      productsRestored: modifiedCount,
+    });
+});
+
 module.exports = {
   getStores,
+  getNearbyStores,
+  getStoresInViewport,
   getStoreById,
   createStore,
   updateStore,
+  deleteStore,
+  restoreStore,
 };
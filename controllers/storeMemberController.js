@@ -0,0 +1,344 @@
+const mongoose = require('mongoose');
+const asyncHandler = require('express-async-handler');
+const { AppError } = require('../utils/appError');
+const { assertStoreAccess } = require('../utils/storeAccess');
+const { createHashedToken, hashToken } = require('../utils/tokens');
+const { transferStoreOwnership } = require('../utils/storeLifecycle');
+const sendEmail = require('../utils/sendEmail');
+const { escapeHtml } = require('../utils/sanitizers');
+const Store = require('../models/store');
+const StoreMembership = require('../models/storeMembership');
+const StoreInvitation = require('../models/storeInvitation');
+const User = require('../models/user');
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Roles each store role may invite, re-role or remove
+const MANAGEABLE_ROLES = {
+  owner: ['manager', 'contributor'],
+  manager: ['contributor'],
+};
+
+// Helper: load a store by the :storeId route param (404 if missing)
+const findStoreOrFail = async (storeId) => {
+  if (!mongoose.Types.ObjectId.isValid(storeId)) {
+    throw new AppError('Invalid store ID format', 400, 'VALIDATION_012', true);
+  }
+
+  const store = await Store.findById(storeId);
+  if (!store) {
+    throw AppError.STORE_NOT_FOUND();
+  }
+
+  return store;
+};
+
+// Helper: stores created before memberships existed only have ownerId;
+// give their owner a membership the first time the member list is touched
+const ensureOwnerMembership = async (store) => {
+  if (!store.ownerId) return;
+
+  await StoreMembership.updateOne(
+    { storeId: store._id, userId: store.ownerId },
+    { $setOnInsert: { role: 'owner', invitedBy: null } },
+    { upsert: true }
+  );
+};
+
+// Helper: may the actor hand out / change / remove the target role?
+// Staff (null store role, got through via override permission) may manage any non-owner
+const assertCanManageRole = (actorRole, targetRole) => {
+  const manageable = actorRole ? MANAGEABLE_ROLES[actorRole] || [] : ['manager', 'contributor'];
+
+  if (!manageable.includes(targetRole)) {
+    throw AppError.INSUFFICIENT_PERMISSIONS(`Your role in this store cannot manage ${targetRole}s`);
+  }
+};
+
+// Helper: load a member of the store by :userId (404 if not a member)
+const findMembershipOrFail = async (storeId, userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new AppError('Invalid user ID format', 400, 'VALIDATION_012', true);
+  }
+
+  const membership = await StoreMembership.findOne({ storeId, userId });
+  if (!membership) {
+    throw AppError.MEMBERSHIP_NOT_FOUND();
+  }
+
+  return membership;
+};
+
+// GET /api/stores/mine  (stores the current user is a member of)
+const getMyStores = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+
+  const memberships = await StoreMembership.find({ userId })
+    .populate('storeId', '_id name addressText image archivedAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  // Legacy stores owned through ownerId alone
+  const memberStoreIds = memberships.map((m) => m.storeId?._id).filter(Boolean);
+  const legacyStores = await Store.find({ ownerId: userId, _id: { $nin: memberStoreIds } })
+    .select('_id name addressText image archivedAt')
+    .lean();
+
+  const stores = [
+    ...memberships
+      .filter((m) => m.storeId)
+      .map((m) => ({ store: m.storeId, role: m.role, joinedAt: m.createdAt })),
+    ...legacyStores.map((store) => ({ store, role: 'owner', joinedAt: store.createdAt })),
+  ];
+
+  res.status(200).json({ stores });
+});
+
+// GET /api/stores/:storeId/members  (store members)
+const getMembers = asyncHandler(async (req, res) => {
+  const store = await findStoreOrFail(req.params.storeId);
+
+  await assertStoreAccess(store, req.user, 'members:read', 'stores:moderate');
+  await ensureOwnerMembership(store);
+
+  const members = await StoreMembership.find({ storeId: store._id })
+    .populate('userId', '_id displayName email')
+    .populate('invitedBy', '_id displayName')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  res.status(200).json({ members });
+});
+
+// POST /api/stores/:storeId/members/invitations  (owner or manager)
+// Re-inviting the same email replaces the pending invitation with a fresh link
+const inviteMember = asyncHandler(async (req, res) => {
+  const { email, role } = req.validated; // Already validated & sanitized
+
+  const store = await findStoreOrFail(req.params.storeId);
+  if (store.archivedAt) {
+    throw AppError.STORE_ARCHIVED();
+  }
+
+  const actorRole = await assertStoreAccess(store, req.user, 'members:manage');
+  assertCanManageRole(actorRole, role);
+
+  const existingUser = await User.findOne({ email }).select('_id').lean();
+  if (existingUser) {
+    const alreadyMember = String(store.ownerId) === String(existingUser._id)
+      || await StoreMembership.exists({ storeId: store._id, userId: existingUser._id });
+    if (alreadyMember) {
+      throw new AppError('This user is already a member of the store', 409, 'CONFLICT_008', true);
+    }
+  }
+
+  const { token, tokenHash } = createHashedToken();
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_MS);
+
+  const invitation = await StoreInvitation.findOneAndUpdate(
+    { storeId: store._id, email },
+    { role, tokenHash, invitedBy: req.user.userId, expiresAt },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  const inviter = await User.findById(req.user.userId).select('displayName').lean();
+  const acceptUrl = `${process.env.FRONTEND_URL}/invitations/accept?token=${token}`;
+
+  await sendEmail({
+    to: email,
+    subject: `You're invited to help run ${store.name}`,
+    html: `
+      <h3>Join ${escapeHtml(store.name)}</h3>
+      <p>${escapeHtml(inviter?.displayName || 'A store member')} invited you to help maintain <strong>${escapeHtml(store.name)}</strong> as a ${role}.</p>
+      <p>This invitation expires in 7 days. Sign in or create an account with this email address, then open:</p>
+      <a href="${acceptUrl}">${acceptUrl}</a>
+    `,
+  });
+
+  res.status(201).json({
+    _id: invitation._id,
+    storeId: invitation.storeId,
+    email: invitation.email,
+    role: invitation.role,
+    expiresAt: invitation.expiresAt,
+  });
+});
+
+// GET /api/stores/:storeId/members/invitations  (owner or manager)
+const getInvitations = asyncHandler(async (req, res) => {
+  const store = await findStoreOrFail(req.params.storeId);
+
+  await assertStoreAccess(store, req.user, 'members:manage');
+
+  const invitations = await StoreInvitation.find({ storeId: store._id, expiresAt: { $gt: new Date() } })
+    .populate('invitedBy', '_id displayName')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.status(200).json({ invitations });
+});
+
+// DELETE /api/stores/:storeId/members/invitations/:invitationId  (owner or manager)
+const revokeInvitation = asyncHandler(async (req, res) => {
+  const { invitationId } = req.params;
+
+  const store = await findStoreOrFail(req.params.storeId);
+  const actorRole = await assertStoreAccess(store, req.user, 'members:manage');
+
+  if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+    throw new AppError('Invalid invitation ID format', 400, 'VALIDATION_012', true);
+  }
+
+  const invitation = await StoreInvitation.findOne({ _id: invitationId, storeId: store._id });
+  if (!invitation) {
+    throw AppError.INVITATION_NOT_FOUND();
+  }
+
+  assertCanManageRole(actorRole, invitation.role);
+
+  await invitation.deleteOne();
+  res.status(200).json({ message: 'Invitation revoked' });
+});
+
+// POST /api/stores/invitations/accept  (signed-in invitee)
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const { token } = req.validated; // Already validated & sanitized
+
+  const invitation = await StoreInvitation.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() },
+  });
+  if (!invitation) {
+    throw AppError.INVITATION_NOT_FOUND();
+  }
+
+  // The link only works for the account it was sent to
+  const user = await User.findById(req.user.userId).select('_id email role');
+  if (!user) {
+    throw AppError.USER_NOT_FOUND();
+  }
+  if (user.email !== invitation.email) {
+    throw AppError.INSUFFICIENT_PERMISSIONS('This invitation was sent to a different email address');
+  }
+
+  const store = await Store.findById(invitation.storeId);
+  if (!store) {
+    await invitation.deleteOne();
+    throw AppError.STORE_NOT_FOUND();
+  }
+  if (store.archivedAt) {
+    throw AppError.STORE_ARCHIVED();
+  }
+
+  const alreadyMember = String(store.ownerId) === String(user._id)
+    || await StoreMembership.exists({ storeId: store._id, userId: user._id });
+  if (alreadyMember) {
+    await invitation.deleteOne();
+    throw new AppError('You are already a member of this store', 409, 'CONFLICT_008', true);
+  }
+
+  let membership;
+  try {
+    membership = await StoreMembership.create({
+      storeId: store._id,
+      userId: user._id,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy,
+    });
+  } catch (err) {
+    // A concurrent accept of the same invitation got there first
+    if (err.code === 11000) {
+      await invitation.deleteOne();
+      throw new AppError('You are already a member of this store', 409, 'CONFLICT_008', true);
+    }
+    throw err;
+  }
+
+  await invitation.deleteOne();
+
+  // Helping run a store makes a plain user a store manager
+  await User.updateOne({ _id: user._id, role: 'user' }, { role: 'store_manager' });
+
+  res.status(201).json({
+    store: { _id: store._id, name: store.name },
+    role: membership.role,
+  });
+});
+
+// PUT /api/stores/:storeId/members/:userId  (owner or manager)
+const updateMemberRole = asyncHandler(async (req, res) => {
+  const { role } = req.validated; // Already validated & sanitized
+
+  const store = await findStoreOrFail(req.params.storeId);
+  const actorRole = await assertStoreAccess(store, req.user, 'members:manage');
+
+  const membership = await findMembershipOrFail(store._id, req.params.userId);
+
+  if (membership.role === 'owner') {
+    throw AppError.INSUFFICIENT_PERMISSIONS('Use ownership transfer to change the owner');
+  }
+
+  // Both the current and the new role must be within the actor's reach
+  assertCanManageRole(actorRole, membership.role);
+  assertCanManageRole(actorRole, role);
+
+  membership.role = role;
+  await membership.save();
+
+  res.status(200).json(membership);
+});
+
+// DELETE /api/stores/:storeId/members/:userId  (owner or manager; any member may leave)
+const removeMember = asyncHandler(async (req, res) => {
+  const store = await findStoreOrFail(req.params.storeId);
+  const isSelf = String(req.params.userId) === String(req.user.userId);
+
+  const actorRole = isSelf ? null : await assertStoreAccess(store, req.user, 'members:manage');
+
+  const membership = await findMembershipOrFail(store._id, req.params.userId);
+
+  if (membership.role === 'owner') {
+    throw AppError.INSUFFICIENT_PERMISSIONS('Transfer ownership before the owner leaves the store');
+  }
+
+  if (!isSelf) {
+    assertCanManageRole(actorRole, membership.role);
+  }
+
+  await membership.deleteOne();
+  res.status(200).json({ message: isSelf ? 'You left the store' : 'Member removed' });
+});
+
+// POST /api/stores/:storeId/transfer  (owner or admin)
+// The new owner must already be a member; the previous owner stays on as a manager
+const transferOwnership = asyncHandler(async (req, res) => {
+  const { userId } = req.validated; // Already validated & sanitized
+
+  const store = await findStoreOrFail(req.params.storeId);
+  await assertStoreAccess(store, req.user, 'store:transfer');
+
+  if (String(store.ownerId) === String(userId)) {
+    throw new AppError('This user already owns the store', 409, 'CONFLICT_008', true);
+  }
+
+  const membership = await findMembershipOrFail(store._id, userId);
+  const previousOwnerId = await transferStoreOwnership(store, membership);
+
+  res.status(200).json({
+    message: 'Ownership transferred',
+    store: { _id: store._id, name: store.name, ownerId: store.ownerId },
+    previousOwnerId,
+  });
+});
+
+module.exports = {
+  getMyStores,
+  getMembers,
+  inviteMember,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  updateMemberRole,
+  removeMember,
+  transferOwnership,
+};
@@ -0,0 +1,171 @@
+const asyncHandler = require('express-async-handler');
+const bcrypt = require('bcryptjs');
+const QRCode = require('qrcode');
+const { AppError } = require('../utils/appError');
+const logger = require('../utils/logger');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  consumeSecondFactor,
+} = require('../utils/totp');
+
+const User = require('../models/user');
+
+// Name shown next to the account in authenticator apps
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Community Pantry';
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+// Helper: load the signed-in user with their 2FA secrets
+const findCurrentUser = async (req) => {
+  const userId = req.user?.userId;
+
+  if (!userId) {
+    throw AppError.UNAUTHORIZED();
+  }
+
+  const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+  if (!user) {
+    throw AppError.USER_NOT_FOUND();
+  }
+
+  return user;
+};
+
+// GET /api/auth/2fa
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await findCurrentUser(req);
+
+  res.status(200).json({
+    enabled: Boolean(user.twoFactor?.enabled),
+    enabledAt: user.twoFactor?.enabledAt || null,
+    recoveryCodesRemaining: user.twoFactor?.enabled ? user.twoFactor.recoveryCodes.length : 0,
+  });
+});
+
+// POST /api/auth/2fa/setup
+// Starts enrollment; 2FA stays off until /2fa/enable confirms a code from the app
+const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await findCurrentUser(req);
+
+  if (user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409, 'CONFLICT_010', true);
+  }
+
+  const secret = generateSecret();
+  const otpauthUri = buildOtpauthUri({ secret, accountName: user.email, issuer: TOTP_ISSUER });
+
+  user.twoFactor.pendingSecret = encryptSecret(secret);
+  await user.save();
+
+  res.status(200).json({
+    secret, // for manual entry
+    otpauthUri,
+    qrCode: await QRCode.toDataURL(otpauthUri),
+  });
+});
+
+// POST /api/auth/2fa/enable
+// Returns the recovery codes; they are only ever shown this once
+const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.validated; // Already validated & sanitized
+
+  const user = await findCurrentUser(req);
+
+  if (user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409, 'CONFLICT_010', true);
+  }
+
+  if (!user.twoFactor?.pendingSecret) {
+    throw new AppError('Start two-factor setup first', 400, 'VALIDATION_016', true);
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = verifyTotp(secret, code);
+  if (step === null) {
+    throw AppError.INVALID_TWO_FACTOR_CODE();
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.recoveryCodes = hashes;
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  logger.security('TWO_FACTOR_ENABLED', { userId: String(user._id) });
+
+  res.status(200).json({
+    message: 'Two-factor authentication enabled',
+    recoveryCodes: codes,
+  });
+});
+
+// POST /api/auth/2fa/disable
+// Needs the password and a current code (or recovery code)
+const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password, code, recoveryCode } = req.validated; // Already validated & sanitized
+
+  const user = await findCurrentUser(req);
+
+  if (!user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 409, 'CONFLICT_010', true);
+  }
+
+  const isMatch = await bcrypt.compare(password, user.passwordHash);
+  if (!isMatch) {
+    throw AppError.INVALID_CREDENTIALS('Password is incorrect');
+  }
+
+  if (!consumeSecondFactor(user, { code, recoveryCode })) {
+    throw AppError.INVALID_TWO_FACTOR_CODE();
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save();
+
+  logger.security('TWO_FACTOR_DISABLED', { userId: String(user._id) });
+
+  res.status(200).json({
+    message: 'Two-factor authentication disabled',
+  });
+});
+
+// POST /api/auth/2fa/recovery-codes
+// Replaces every recovery code; old ones stop working
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { code } = req.validated; // Already validated & sanitized
+
+  const user = await findCurrentUser(req);
+
+  if (!user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 409, 'CONFLICT_010', true);
+  }
+
+  if (!consumeSecondFactor(user, { code })) {
+    throw AppError.INVALID_TWO_FACTOR_CODE();
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save();
+
+  res.status(200).json({
+    recoveryCodes: codes,
+  });
+});
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
@@ -0,0 +1,175 @@
+/**
+ * Product expiry sweep
+ * In-process scheduled job that:
+ *  1. marks products whose expiresAt has passed as expired, so they drop out
+ *     of the digest (listings and search check expiresAt themselves)
+ *  2. emails each store owner a digest of products expiring soon
+ *
+ * Each product is included in at most one digest (tracked by expiryNotifiedAt).
+ * Runs on every app instance, so with several instances the digest may be
+ * sent more than once — run the job on a single instance if that matters.
+ */
+
+const Product = require('../models/product');
+const Store = require('../models/store');
+const User = require('../models/user');
+const sendEmail = require('../utils/sendEmail');
+const logger = require('../utils/logger');
+const { escapeHtml } = require('../utils/sanitizers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often the sweep runs (default: hourly)
+const SWEEP_INTERVAL_MS = (parseInt(process.env.EXPIRY_SWEEP_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+
+// Products expiring within this many days go into the owner digest
+const EXPIRY_WARNING_DAYS = parseInt(process.env.EXPIRY_WARNING_DAYS, 10) || 3;
+
+let timer = null;
+let running = false;
+
+/**
+ * Flag products whose expiration date has passed
+ * @param {Date} now
+ * @returns {Promise<number>} - Number of products newly marked as expired
+ */
+async function markExpiredProducts(now) {
+  const { modifiedCount } = await Product.updateMany(
+    { expired: { $ne: true }, expiresAt: { $ne: null, $lte: now } },
+    { expired: true }
+  );
+  return modifiedCount;
+}
+
+/**
+ * Build the digest email body for one owner
+ * @param {string} displayName
+ * @param {Array} stores - [{ name, products: [{ name, quantity, expiresAt }] }]
+ * @returns {string} - HTML
+ */
+function buildDigestHtml(displayName, stores) {
+  const sections = stores
+    .map((store) => {
+      const items = store.products
+        .map((p) => `<li>${escapeHtml(p.name)} (qty ${p.quantity}) — expires ${p.expiresAt.toDateString()}</li>`)
+        .join('');
+      return `<h4>${escapeHtml(store.name)}</h4><ul>${items}</ul>`;
+    })
+    .join('');
+
+  return `
+    <h3>Items expiring soon</h3>
+    <p>Hi ${escapeHtml(displayName)}, these items in your pantry expire within the next ${EXPIRY_WARNING_DAYS} days.</p>
+    ${sections}
+    <p>Expired items are hidden from search automatically.</p>
+  `;
+}
+
+/**
+ * Email each owner the products in their stores that expire soon
+ * @param {Date} now
+ * @returns {Promise<number>} - Number of digests sent
+ */
+async function sendExpiryDigests(now) {
+  const horizon = new Date(now.getTime() + EXPIRY_WARNING_DAYS * DAY_MS);
+
+  const products = await Product.find({
+    archivedAt: null,
+    expired: { $ne: true },
+    expiresAt: { $gt: now, $lte: horizon },
+    expiryNotifiedAt: null,
+    quantity: { $gt: 0 }, // nothing to warn about if none are left
+  })
+    .select('_id name quantity expiresAt storeId')
+    .sort({ expiresAt: 1 })
+    .lean();
+
+  if (!products.length) return 0;
+
+  const storeIds = [...new Set(products.map((p) => String(p.storeId)))];
+  const stores = await Store.find({ _id: { $in: storeIds }, archivedAt: null })
+    .select('_id name ownerId')
+    .lean();
+
+  const ownerIds = [...new Set(stores.filter((s) => s.ownerId).map((s) => String(s.ownerId)))];
+  const owners = await User.find({ _id: { $in: ownerIds } })
+    .select('_id email displayName')
+    .lean();
+
+  const ownersById = new Map(owners.map((u) => [String(u._id), u]));
+
+  // owner -> [{ name, products }]
+  const digests = new Map();
+  for (const store of stores) {
+    const owner = ownersById.get(String(store.ownerId));
+    if (!owner) continue;
+
+    const storeProducts = products.filter((p) => String(p.storeId) === String(store._id));
+    if (!digests.has(String(owner._id))) digests.set(String(owner._id), []);
+    digests.get(String(owner._id)).push({ name: store.name, products: storeProducts });
+  }
+
+  let sent = 0;
+  for (const [ownerId, ownerStores] of digests) {
+    const owner = ownersById.get(ownerId);
+    const productIds = ownerStores.flatMap((s) => s.products.map((p) => p._id));
+
+    try {
+      await sendEmail({
+        to: owner.email,
+        subject: 'Pantry items expiring soon',
+        html: buildDigestHtml(owner.displayName, ownerStores),
+      });
+
+      await Product.updateMany({ _id: { $in: productIds } }, { expiryNotifiedAt: now });
+      sent++;
+    } catch (err) {
+      // Leave expiryNotifiedAt unset so the next sweep retries
+      logger.error('EXPIRY_DIGEST_FAILED', { ownerId, error: err.message });
+    }
+  }
+
+  return sent;
+}
+
+/**
+ * Run one sweep (skipped if the previous one is still running)
+ */
+async function runExpirySweep() {
+  if (running) return;
+  running = true;
+
+  try {
+    const now = new Date();
+    const expiredCount = await markExpiredProducts(now);
+    const digestsSent = await sendExpiryDigests(now);
+
+    if (expiredCount || digestsSent) {
+      logger.info('EXPIRY_SWEEP', { expiredCount, digestsSent });
+    }
+  } catch (err) {
+    logger.error('EXPIRY_SWEEP_FAILED', { error: err.message, stack: err.stack });
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the periodic sweep. Call once the database connection is up.
+ * @returns {NodeJS.Timeout}
+ */
+function startExpirySweep() {
+  if (timer) return timer;
+
+  runExpirySweep();
+  timer = setInterval(runExpirySweep, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweep
+  timer.unref();
+
+  return timer;
+}
+
+module.exports = {
+  startExpirySweep,
+  runExpirySweep,
+};
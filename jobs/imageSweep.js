@@ -0,0 +1,148 @@
+/**
+ * Orphaned image sweep
+ * In-process scheduled job that:
+ *  1. refreshes which stores/products use each uploaded image
+ *  2. deletes images (files and record) that have been unused for longer
+ *     than the grace period
+ *
+ * The grace period covers the gap between uploading an image and saving the
+ * store or product form that uses it. Files uploaded before images were
+ * tracked have no Image record and are left alone.
+ */
+
+const Image = require('../models/image');
+const { findImageReferences, deleteImage } = require('../utils/images');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// How often the sweep runs (default: hourly)
+const SWEEP_INTERVAL_MS = (parseInt(process.env.IMAGE_SWEEP_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+
+// How long an image may stay unused before it's deleted (default: 1 day)
+const GRACE_PERIOD_MS = (parseInt(process.env.IMAGE_SWEEP_GRACE_HOURS, 10) || 24) * HOUR_MS;
+
+const BATCH_SIZE = 200;
+
+let timer = null;
+let running = false;
+
+/**
+ * Record the current references of a batch of images
+ * @param {Array} images - lean Image objects
+ * @param {Date} now
+ */
+async function updateReferences(images, now) {
+  const references = await findImageReferences(images);
+
+  const ops = images.map((image) => {
+    const refs = references.get(String(image._id));
+    return {
+      updateOne: {
+        // Skipped if a re-upload restarted the grace period since the read;
+        // writing the old timestamp back would get the image deleted early
+        filter: { _id: image._id, unreferencedSince: image.unreferencedSince ?? null },
+        update: {
+          references: refs,
+          referencesCheckedAt: now,
+          // Keep the original timestamp while an image stays unused
+          unreferencedSince: refs.length ? null : image.unreferencedSince || now,
+        },
+      },
+    };
+  });
+
+  if (ops.length) {
+    await Image.bulkWrite(ops, { ordered: false });
+  }
+}
+
+/**
+ * Refresh references for every tracked image
+ * @param {Date} now
+ */
+async function refreshAllReferences(now) {
+  const cursor = Image.find().select('_id keys unreferencedSince').lean().cursor({ batchSize: BATCH_SIZE });
+
+  let batch = [];
+  for await (const image of cursor) {
+    batch.push(image);
+    if (batch.length === BATCH_SIZE) {
+      await updateReferences(batch, now);
+      batch = [];
+    }
+  }
+  await updateReferences(batch, now);
+}
+
+/**
+ * Delete images unused for longer than the grace period
+ * @param {Date} now
+ * @returns {Promise<number>} - Number of images deleted
+ */
+async function deleteOrphanedImages(now) {
+  const cutoff = new Date(now.getTime() - GRACE_PERIOD_MS);
+  const orphans = await Image.find({ unreferencedSince: { $ne: null, $lte: cutoff } }).limit(BATCH_SIZE);
+  if (!orphans.length) return 0;
+
+  // Check again right before deleting: a store may have picked one up since
+  const references = await findImageReferences(orphans);
+
+  let deleted = 0;
+  for (const image of orphans) {
+    if (references.get(String(image._id)).length) continue;
+
+    try {
+      // Skipped if someone re-uploaded the same file since (new grace period)
+      if (await deleteImage(image, { unreferencedSince: image.unreferencedSince })) {
+        deleted++;
+      }
+    } catch (err) {
+      logger.error('IMAGE_DELETE_FAILED', { imageId: String(image._id), error: err.message });
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Run one sweep (skipped if the previous one is still running)
+ */
+async function runImageSweep() {
+  if (running) return;
+  running = true;
+
+  try {
+    const now = new Date();
+    await refreshAllReferences(now);
+    const deletedCount = await deleteOrphanedImages(now);
+
+    if (deletedCount) {
+      logger.info('IMAGE_SWEEP', { deletedCount });
+    }
+  } catch (err) {
+    logger.error('IMAGE_SWEEP_FAILED', { error: err.message, stack: err.stack });
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the periodic sweep. Call once the database connection is up.
+ * @returns {NodeJS.Timeout}
+ */
+function startImageSweep() {
+  if (timer) return timer;
+
+  runImageSweep();
+  timer = setInterval(runImageSweep, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweep
+  timer.unref();
+
+  return timer;
+}
+
+module.exports = {
+  startImageSweep,
+  runImageSweep,
+};
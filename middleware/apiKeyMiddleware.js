@@ -0,0 +1,90 @@
+const asyncHandler = require('express-async-handler');
+const authMiddleware = require('./authMiddleware');
+const { apiKeyLimiter } = require('./rateLimitMiddleware');
+const { AppError } = require('../utils/appError');
+const { isApiKey, getApiKeyPrefix, matchesApiKey } = require('../utils/apiKeys');
+const logger = require('../utils/logger');
+const ApiKey = require('../models/apiKey');
+const User = require('../models/user');
+
+// Don't write lastUsedAt more than once a minute per key
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+const getBearerToken = (req) => {
+  const authHeader = req.get('authorization') || '';
+  return authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+};
+
+// Authenticate "Authorization: Bearer pk_..." and attach the key's owner
+const authenticateApiKey = async (req, key, scope) => {
+  const prefix = getApiKeyPrefix(key);
+  const apiKey = prefix && await ApiKey.findOne({ prefix }).select('+keyHash');
+
+  if (!apiKey || !matchesApiKey(key, apiKey.keyHash)) {
+    throw AppError.TOKEN_INVALID('Invalid API key');
+  }
+
+  if (apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= Date.now())) {
+    throw AppError.TOKEN_EXPIRED('This API key has expired or been revoked');
+  }
+
+  if (!apiKey.scopes.includes(scope)) {
+    throw AppError.INSUFFICIENT_PERMISSIONS(`This API key is missing the ${scope} scope`);
+  }
+
+  const user = await User.findById(apiKey.userId).select('role emailVerified accountLockedUntil').lean();
+  if (!user) {
+    throw AppError.TOKEN_INVALID('Invalid API key');
+  }
+  if (user.accountLockedUntil && user.accountLockedUntil > Date.now()) {
+    throw AppError.ACCOUNT_LOCKED('Account is locked');
+  }
+
+  // Best effort: a failed usage write must not fail the request
+  const staleBefore = new Date(Date.now() - LAST_USED_WRITE_INTERVAL_MS);
+  ApiKey.updateOne(
+    { _id: apiKey._id, $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: staleBefore } }] },
+    { lastUsedAt: new Date(), lastUsedIp: req.ip }
+  ).catch((err) => logger.error('API_KEY_USAGE_UPDATE_FAILED', { apiKeyId: String(apiKey._id), error: err.message }));
+
+  req.user = {
+    userId: String(apiKey.userId),
+    _id: String(apiKey.userId),
+    role: user.role || 'user',
+    emailVerified: user.emailVerified !== false,
+  };
+  req.apiKey = { id: String(apiKey._id), prefix: apiKey.prefix, scopes: apiKey.scopes };
+  // Key-authenticated requests are exempt from CSRF (see csrfMiddleware)
+  req.authMethod = 'api_key';
+};
+
+/**
+ * Opt a route in to API key authentication
+ * Use in place of authMiddleware. Requests with "Authorization: Bearer pk_..."
+ * must carry a key with the given scope and are rate limited per key; any
+ * other request goes through authMiddleware as usual. Routes without this
+ * never accept API keys.
+ *
+ * @param {string} scope - Scope the key needs (see ApiKey.SCOPES)
+ * @returns {Function[]} Express middleware chain
+ *
+ * @example
+ * router.put('/:id', allowApiKey('products:write'), csrfProtection, updateProduct);
+ */
+const allowApiKey = (scope) => [
+  asyncHandler(async (req, res, next) => {
+    const token = getBearerToken(req);
+
+    if (!isApiKey(token)) {
+      return authMiddleware(req, res, next);
+    }
+
+    await authenticateApiKey(req, token, scope);
+    next();
+  }),
+  apiKeyLimiter,
+];
+
+module.exports = {
+  allowApiKey,
+};
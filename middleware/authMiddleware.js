@@ -1,26 +1,49 @@
 const jwt = require('jsonwebtoken');
 const asyncHandler = require('express-async-handler');
 const User = require('../models/user');
+const { isApiKey } = require('../utils/apiKeys');
 
 const authMiddleware = asyncHandler(async (req, res, next) => {
-  // Read token from HttpOnly cookie (instead of Authorization header)
-  const token = req.cookies.accessToken;
+  // Browsers send the HttpOnly cookie; native apps and scripts send
+  // Authorization: Bearer <token>. The header wins when both are present.
+  const authHeader = req.get('authorization') || '';
+  const bearerToken = authHeader.startsWith('Bearer ') ? authHeader.slice(7).trim() : null;
+  const token = bearerToken || req.cookies.accessToken;
 
   if (!token) {
     res.status(401);
     throw new Error('Not authorized, no token provided');
   }
 
+  // API keys only work on routes that opt in via allowApiKey
+  if (isApiKey(bearerToken)) {
+    res.status(403);
+    throw new Error('API keys are not accepted for this endpoint');
+  }
+
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Purpose-bound tokens (e.g. the 2FA login challenge, refresh tokens) are
+    // not access tokens
+    if (decoded.purpose) {
+      res.status(401);
+      throw new Error('Not authorized, invalid token');
+    }
+
     // Check if password was changed after token was issued
-    const user = await User.findById(decoded.userId).select('passwordChangedAt').lean();
+    const user = await User.findById(decoded.userId).select('passwordChangedAt role emailVerified accountLockedUntil').lean();
     if (!user) {
       res.status(401);
       throw new Error('Not authorized, user not found');
     }
 
+    // A lock (e.g. by an admin) applies to tokens issued before it, like API keys
+    if (user.accountLockedUntil && user.accountLockedUntil > Date.now()) {
+      res.status(401);
+      throw new Error('Not authorized, account is locked');
+    }
+
     // If password was changed after token was issued, reject token
     if (user.passwordChangedAt) {
       const passwordChangedTime = Math.floor(user.passwordChangedAt.getTime() / 1000);
@@ -36,8 +59,16 @@ const authMiddleware = asyncHandler(async (req, res, next) => {
     req.user = {
       userId: decoded.userId,
       _id: decoded.userId,
+      role: user.role || 'user',
+      // Session (device) the token was issued for, see utils/refreshTokens
+      sessionId: decoded.sid || null,
+      // Only accounts registered since verification was added can be unverified
+      emailVerified: user.emailVerified !== false,
     };
 
+    // Header-authenticated requests are exempt from CSRF (see csrfMiddleware)
+    req.authMethod = bearerToken ? 'bearer' : 'cookie';
+
     next();
   } catch (error) {
     res.status(401);
@@ -14,7 +14,7 @@ const cookieParser = require('cookie-parser');
 
 // Initialize CSRF protection middleware
 // Uses cookies to store the CSRF token
-const csrfProtection = csrf({
+const cookieCsrfProtection = csrf({
   cookie: {
     httpOnly: true,      // Prevent JavaScript access
     secure: process.env.NODE_ENV === 'production', // HTTPS only in production
@@ -24,6 +24,38 @@ const csrfProtection = csrf({
   },
 });
 
+/**
+ * CSRF only matters for credentials the browser attaches on its own (cookies).
+ * Skipped for requests authenticated by an Authorization: Bearer header or
+ * API key (req.authMethod, set by authMiddleware / apiKeyMiddleware); a
+ * cross-site page can't add that header.
+ */
+const csrfProtection = (req, res, next) => {
+  if (req.authMethod === 'bearer' || req.authMethod === 'api_key') {
+    return next();
+  }
+
+  return cookieCsrfProtection(req, res, next);
+};
+
+const hasAuthCookie = (req) => Boolean(req.cookies?.accessToken || req.cookies?.refreshToken);
+
+/**
+ * csrfProtection for the endpoints that issue tokens (login, register, 2FA
+ * login, magic-link verify, refresh). Also skipped for JSON token-in-body
+ * calls (tokenDelivery: 'body') that carry no auth cookie: they don't read or
+ * set cookies, and a cross-site page can't read the tokens in the response.
+ * Must be JSON: an HTML form could send the field urlencoded, but not as JSON
+ * without passing CORS. Never use this on routes that act on a signed-in user.
+ */
+const tokenAuthCsrfProtection = (req, res, next) => {
+  if (req.body?.tokenDelivery === 'body' && req.is('application/json') && !hasAuthCookie(req)) {
+    return next();
+  }
+
+  return csrfProtection(req, res, next);
+};
+
 /**
  * Get CSRF token endpoint middleware
  * Generates a new CSRF token and returns it to client
@@ -68,6 +100,7 @@ const csrfErrorHandler = (err, req, res, next) => {
 
 module.exports = {
   csrfProtection,
+  tokenAuthCsrfProtection,
   csrfTokenHandler,
   csrfErrorHandler,
 };
@@ -0,0 +1,32 @@
+const authMiddleware = require('./authMiddleware');
+
+/**
+ * Attach req.user when the request carries valid credentials, but never reject
+ * For public endpoints that show more to signed-in users (e.g. staff seeing
+ * archived stores). A missing, expired or invalid token just means anonymous.
+ *
+ * @example
+ * router.get('/:id', optionalAuth, getStoreById);
+ */
+const optionalAuth = (req, res, next) => {
+  const hasCredentials = Boolean(req.cookies?.accessToken)
+    || (req.get('authorization') || '').startsWith('Bearer ');
+
+  if (!hasCredentials) {
+    return next();
+  }
+
+  authMiddleware(req, res, (err) => {
+    if (err) {
+      // authMiddleware sets 401 before rejecting; this request carries on
+      res.status(200);
+      req.user = undefined;
+      req.authMethod = undefined;
+    }
+    next();
+  });
+};
+
+module.exports = {
+  optionalAuth,
+};
@@ -1,4 +1,4 @@
-const rateLimit = require('express-rate-limit');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
 
 /**
  * Helper function to create a key generator for rate limiting
@@ -66,6 +66,68 @@ const resetPasswordLimiter = rateLimit({
   skipSuccessfulRequests: false,
 });
 
+// Magic link rate limiter: 5 links per hour per IP
+const magicLinkLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many sign-in link requests, please try again after 1 hour',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+});
+
+// Magic link consume rate limiter: 10 attempts per hour per IP
+const magicLinkVerifyLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many sign-in link attempts, please try again after 1 hour',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+});
+
+// Two-factor limiter: 10 code attempts per 15 minutes per IP
+const twoFactorLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many two-factor attempts, please try again after 15 minutes',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+});
+
+// Verification email limiter: 3 resends per hour per user
+const verificationEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  message: 'Too many verification emails requested, please try again after 1 hour',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  keyGenerator: createKeyGenerator(true),
+});
+
+// Profile update limiter: 10 per hour per user (email changes send mail)
+const profileUpdateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many profile updates, please try again after 1 hour',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  keyGenerator: createKeyGenerator(true),
+});
+
+// Verify email limiter: 10 attempts per hour per IP
+const verifyEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many verification attempts, please try again after 1 hour',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+});
+
 // ============================================================================
 // STORE & PRODUCT LIMITERS (User-based for authenticated endpoints)
 // ============================================================================
@@ -92,6 +154,17 @@ const updateStoreLimiter = rateLimit({
   keyGenerator: createKeyGenerator(true),
 });
 
+// Delete store limiter: 10 per hour per user
+const deleteStoreLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many store deletions. Please try again after 1 hour',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  keyGenerator: createKeyGenerator(true),
+});
+
 // Create product limiter: 30 per hour per user (prevent product spam)
 const createProductLimiter = rateLimit({
   windowMs: 60 * 60 * 1000,
@@ -139,6 +212,60 @@ const searchLimiter = rateLimit({
   skipSuccessfulRequests: false,
 });
 
+// Invite member limiter: 20 invitations per hour per user (each one sends an email)
+const inviteMemberLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  message: 'Too many invitations sent. Please try again after an hour',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  keyGenerator: createKeyGenerator(true),
+});
+
+// Visitor action limiter: 30 "took one" / "restocked" reports per hour per IP
+const visitorActionLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 30,
+  message: 'Too many item reports. Please try again after an hour',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+});
+
+// Per-product visitor limiter: 3 reports per product per 10 minutes per IP
+// Stops one client from draining (or inflating) a single item's quantity
+const visitorProductActionLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000,
+  max: 3,
+  message: 'You have already reported this item recently. Please try again later',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  // ipKeyGenerator groups IPv6 addresses by subnet like the default handler
+  keyGenerator: (req) => `${ipKeyGenerator(req.ip)}:${req.params.id}`,
+});
+
+// Item request limiter: 5 new needs-list requests per hour per IP
+const createItemRequestLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many item requests. Please try again after an hour',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+});
+
+// Item request vote limiter: 30 upvotes per hour per IP
+const itemRequestVoteLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 30,
+  message: 'Too many votes. Please try again after an hour',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+});
+
 // Image suggestion limiter: 20 per minute per IP (calls external Pexels API)
 const imageSuggestionLimiter = rateLimit({
   windowMs: 60 * 1000,
@@ -160,6 +287,30 @@ const imageUploadLimiter = rateLimit({
   keyGenerator: createKeyGenerator(true),
 });
 
+// API key limiter: 600 requests per hour per key (integrations syncing inventory)
+// Only counts requests authenticated by an API key (see apiKeyMiddleware)
+const apiKeyLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 600,
+  message: 'API key rate limit exceeded. Please try again later',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  skip: (req) => req.authMethod !== 'api_key',
+  keyGenerator: (req) => `apikey:${req.apiKey.id}`,
+});
+
+// API key management limiter: 10 new keys per hour per user
+const createApiKeyLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  message: 'Too many API keys created. Please try again after an hour',
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false,
+  keyGenerator: createKeyGenerator(true),
+});
+
 // General API limiter: 1000 per hour per IP (fallback for other endpoints)
 const generalApiLimiter = rateLimit({
   windowMs: 60 * 60 * 1000,
@@ -176,16 +327,31 @@ module.exports = {
   registerLimiter,
   forgotPasswordLimiter,
   resetPasswordLimiter,
+  magicLinkLimiter,
+  magicLinkVerifyLimiter,
+  twoFactorLimiter,
+  verificationEmailLimiter,
+  verifyEmailLimiter,
+  profileUpdateLimiter,
   // Store
   createStoreLimiter,
   updateStoreLimiter,
+  deleteStoreLimiter,
+  inviteMemberLimiter,
   // Product
   createProductLimiter,
   updateProductLimiter,
   deleteProductLimiter,
   // Search & Public
   searchLimiter,
+  visitorActionLimiter,
+  visitorProductActionLimiter,
+  createItemRequestLimiter,
+  itemRequestVoteLimiter,
   imageSuggestionLimiter,
   imageUploadLimiter,
+  // API keys
+  apiKeyLimiter,
+  createApiKeyLimiter,
   generalApiLimiter,
 };
@@ -0,0 +1,51 @@
+const { AppError } = require('../utils/appError');
+const { hasPermission } = require('../utils/permissions');
+
+/**
+ * Role guard middleware factory
+ * Must run after authMiddleware (needs req.user.role)
+ *
+ * @param {...string} roles - Roles allowed through
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.get('/users', authMiddleware, requireRole('admin'), listUsers);
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return next(AppError.UNAUTHORIZED());
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return next(AppError.INSUFFICIENT_PERMISSIONS());
+  }
+
+  next();
+};
+
+/**
+ * Permission guard middleware factory
+ * Must run after authMiddleware (needs req.user.role)
+ *
+ * @param {string} permission - Permission required (see utils/permissions)
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * router.put('/users/:id/role', authMiddleware, requirePermission('users:manage'), updateUserRole);
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user) {
+    return next(AppError.UNAUTHORIZED());
+  }
+
+  if (!hasPermission(req.user, permission)) {
+    return next(AppError.INSUFFICIENT_PERMISSIONS());
+  }
+
+  next();
+};
+
+module.exports = {
+  requireRole,
+  requirePermission,
+};
@@ -0,0 +1,25 @@
+const { AppError } = require('../utils/appError');
+
+/**
+ * Verified email guard
+ * Must run after authMiddleware (needs req.user.emailVerified).
+ * Used on actions that publish content, to keep throwaway accounts out.
+ *
+ * @example
+ * router.post('/', authMiddleware, requireVerifiedEmail, createStore);
+ */
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return next(AppError.UNAUTHORIZED());
+  }
+
+  if (!req.user.emailVerified) {
+    return next(AppError.EMAIL_NOT_VERIFIED());
+  }
+
+  next();
+};
+
+module.exports = {
+  requireVerifiedEmail,
+};
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// What an API key may be used for (see middleware/apiKeyMiddleware)
+const API_KEY_SCOPES = ['stores:read', 'stores:write', 'products:read', 'products:write'];
+
+// Personal API key for integrations. The full key is shown once at creation;
+// only its SHA-256 hash is stored. The prefix is kept in plaintext so users
+// can tell their keys apart and so a presented key can be looked up.
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+
+    // e.g. "pk_3f9a1c2b"; the first part of the key itself
+    prefix: {
+      type: String,
+      required: true,
+    },
+
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (v) => v.length > 0,
+        message: 'At least one scope is required',
+      },
+    },
+
+    // null = never expires
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastUsedIp: {
+      type: String,
+    },
+
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.index({ prefix: 1 }, { unique: true });
+apiKeySchema.index({ userId: 1, createdAt: -1 });
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+ApiKey.SCOPES = API_KEY_SCOPES;
+
+module.exports = ApiKey;
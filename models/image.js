@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Where an image can be used (the `image` field of these models)
+const REFERENCE_KINDS = ['Store', 'Product'];
+
+const variantSchema = new mongoose.Schema(
+  {
+    url: { type: String, required: true },
+    webpUrl: { type: String, required: true },
+    width: { type: Number },
+    height: { type: Number },
+  },
+  { _id: false }
+);
+
+const referenceSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: REFERENCE_KINDS, required: true },
+    id: { type: mongoose.Schema.Types.ObjectId, required: true },
+  },
+  { _id: false }
+);
+
+// One uploaded image and every object stored for it (see storage/).
+// Stores and products point at it by URL, so `references` is derived from
+// their image fields by the image sweep (see jobs/imageSweep) rather than
+// maintained on every store/product write.
+const imageSchema = new mongoose.Schema(
+  {
+    // Everyone who uploaded this exact file (identical uploads share one Image)
+    uploaderIds: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      default: [],
+    },
+
+    // Number of uploaders still holding the image; one uploader deleting
+    // their copy only removes the files once nobody else holds it. Always
+    // written together with uploaderIds (see utils/images) so the two agree.
+    refCount: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+
+    // SHA-256 of the uploaded original; one Image per distinct file
+    hash: {
+      type: String,
+      required: true,
+    },
+
+    // Bytes stored across all variants
+    size: {
+      type: Number,
+      required: true,
+    },
+
+    // Storage keys of every variant file; matched against Store/Product imageKey
+    keys: {
+      type: [String],
+      required: true,
+    },
+
+    variants: {
+      thumb: variantSchema,
+      medium: variantSchema,
+      large: variantSchema,
+    },
+
+    references: {
+      type: [referenceSchema],
+      default: [],
+    },
+
+    // When the image was last seen unused (null while referenced); the
+    // sweep deletes images that stay unreferenced past the grace period
+    unreferencedSince: {
+      type: Date,
+      default: () => new Date(),
+    },
+
+    referencesCheckedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+imageSchema.index({ uploaderIds: 1, createdAt: -1 });
+imageSchema.index({ unreferencedSince: 1 });
+imageSchema.index({ hash: 1 }, { unique: true });
+
+const Image = mongoose.model('Image', imageSchema);
+
+Image.REFERENCE_KINDS = REFERENCE_KINDS;
+
+module.exports = Image;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// Why a product's quantity changed
+const INVENTORY_REASONS = ['restock', 'taken', 'expired', 'correction'];
+
+// Append-only ledger of quantity changes. The sum of a product's deltas
+// equals its current quantity. Entries are never deleted, not even when the
+// product or its store is purged, so productId/storeId may point at
+// documents that no longer exist.
+const inventoryTransactionSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+
+    // Denormalized so store-wide history doesn't need a join
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      required: true,
+    },
+
+    delta: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: (v) => Number.isInteger(v) && v !== 0,
+        message: 'delta must be a non-zero integer',
+      },
+    },
+
+    // Product quantity right after this change
+    quantityAfter: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+
+    reason: {
+      type: String,
+      enum: INVENTORY_REASONS,
+      required: true,
+    },
+
+    // null for anonymous visitors and background jobs
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    // Hashed client IP for anonymous visitor actions (see utils/visitor)
+    visitorHash: {
+      type: String,
+    },
+
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+inventoryTransactionSchema.index({ productId: 1, createdAt: -1 });
+inventoryTransactionSchema.index({ storeId: 1, createdAt: -1 });
+inventoryTransactionSchema.index({ visitorHash: 1, createdAt: -1 }, { sparse: true });
+
+// Ledger entries are immutable: block every update/delete path
+const blockMutation = function () {
+  throw new Error('Inventory transactions are immutable');
+};
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+].forEach((op) => inventoryTransactionSchema.pre(op, blockMutation));
+
+inventoryTransactionSchema.pre('save', function () {
+  if (!this.isNew) blockMutation();
+});
+
+const InventoryTransaction = mongoose.model('InventoryTransaction', inventoryTransactionSchema);
+
+InventoryTransaction.REASONS = INVENTORY_REASONS;
+
+module.exports = InventoryTransaction;
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const ITEM_REQUEST_STATUSES = ['open', 'fulfilled', 'declined'];
+
+// A visitor's "we need X here" request on a store's needs list
+const itemRequestSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      required: true,
+    },
+
+    text: {
+      type: String,
+      required: [true, 'Request text is required'],
+      trim: true,
+      maxlength: 200,
+    },
+
+    // Lowercased text, used to stop the same item being requested twice
+    textKey: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    status: {
+      type: String,
+      enum: ITEM_REQUEST_STATUSES,
+      default: 'open',
+    },
+
+    upvotes: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
+    // Hashed client IP of the requester (see utils/visitor)
+    visitorHash: {
+      type: String,
+      select: false,
+    },
+
+    // Set when the owner fulfils the request by stocking a product
+    fulfilledProductId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      default: null,
+    },
+
+    statusNote: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+
+    statusChangedAt: {
+      type: Date,
+    },
+
+    statusChangedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+itemRequestSchema.index({ storeId: 1, status: 1, upvotes: -1, createdAt: -1 });
+// One open request per item per store; closed ones may repeat
+itemRequestSchema.index(
+  { storeId: 1, textKey: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+const ItemRequest = mongoose.model('ItemRequest', itemRequestSchema);
+
+ItemRequest.STATUSES = ITEM_REQUEST_STATUSES;
+
+module.exports = ItemRequest;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// One visitor's upvote on an item request. Kept out of the request document
+// so popular requests don't grow without bound.
+const itemRequestVoteSchema = new mongoose.Schema(
+  {
+    requestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ItemRequest',
+      required: true,
+    },
+
+    // Hashed visitor id (see utils/visitor)
+    voterKey: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// One vote per visitor per request
+itemRequestVoteSchema.index({ requestId: 1, voterKey: 1 }, { unique: true });
+
+const ItemRequestVote = mongoose.model('ItemRequestVote', itemRequestVoteSchema);
+
+module.exports = ItemRequestVote;
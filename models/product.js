@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { CATEGORY_SLUGS, TAG_SLUGS } = require('../utils/productTaxonomy');
+const { getImageKey } = require('../utils/imageKey');
 
 const productSchema = new mongoose.Schema({
     name: { 
@@ -21,15 +23,88 @@ const productSchema = new mongoose.Schema({
         type: String,
         required: false,
         trim: true,
-    }
+    },
+    // Storage key of image, kept in sync by the hooks below (see utils/imageKey)
+    imageKey: {
+        type: String,
+        default: null,
+    },
+    category: {
+        type: String,
+        enum: CATEGORY_SLUGS,
+        required: false,
+    },
+    // Dietary and allergen tags (see utils/productTaxonomy)
+    tags: {
+        type: [{ type: String, enum: TAG_SLUGS }],
+        default: [],
+    },
+    // Optional best-by / expiration date
+    expiresAt: {
+        type: Date,
+        default: null,
+    },
+    // Flipped by the expiry sweep once expiresAt has passed; only used to keep
+    // expired products out of the owner digest. Listings and search hide
+    // expired products by comparing expiresAt with the current time, so they
+    // don't wait for the next sweep.
+    expired: {
+        type: Boolean,
+        default: false,
+    },
+    // When the owner's "expiring soon" digest last included this product
+    expiryNotifiedAt: {
+        type: Date,
+        default: null,
+    },
+    // Low-stock alert threshold; falls back to the store's when unset
+    lowStockThreshold: {
+        type: Number,
+        min: 0,
+        default: null,
+    },
+    // Alert state used to de-duplicate owner notifications (see utils/stockAlerts)
+    stockAlertLevel: {
+        type: String,
+        enum: ['ok', 'low', 'out'],
+        default: 'ok',
+    },
+    lastStockAlert: {
+        level: { type: String, enum: ['low', 'out'] },
+        at: { type: Date },
+    },
+    // Set when the owning store is archived so products aren't orphaned
+    archivedAt: {
+        type: Date,
+        default: null,
+    },
 }, { timestamps: true });
 
 // Performance indexes for filtering and sorting
 productSchema.index({ storeId: 1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ archivedAt: 1 });
+productSchema.index({ category: 1 });
+productSchema.index({ tags: 1 });
+productSchema.index({ imageKey: 1 }); // image sweep: which products use an upload
+productSchema.index({ expired: 1, expiresAt: 1 }); // expiry sweep + digest queries
 productSchema.index({ storeId: 1, name: 1 }); // Composite index for store + search queries
 productSchema.index({ name: 'text' });          // Text index: replaces $regex for full-text search
 
+productSchema.pre('save', function () {
+    if (this.isModified('image')) {
+        this.imageKey = getImageKey(this.image);
+    }
+});
+
+productSchema.pre('findOneAndUpdate', function () {
+    const update = this.getUpdate() || {};
+    const image = update.$set?.image !== undefined ? update.$set.image : update.image;
+    if (image !== undefined) {
+        this.set('imageKey', getImageKey(image));
+    }
+});
+
 const Product = mongoose.model('Product', productSchema);
 
 module.exports = Product;
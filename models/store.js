@@ -1,4 +1,38 @@
 const mongoose = require('mongoose');
+const { getImageKey } = require('../utils/imageKey');
+
+// One opening interval in store-local time. Times are zero-padded "HH:MM"
+// strings so they compare correctly as strings inside queries.
+const weeklyHoursSchema = new mongoose.Schema(
+  {
+    day: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+    open: { type: String, required: true },
+    close: { type: String, required: true }, // "24:00" = until midnight
+  },
+  { _id: false }
+);
+
+// Date-specific override (holiday closure, special event). Any exception for
+// a date replaces that day's weekly hours.
+const hoursExceptionSchema = new mongoose.Schema(
+  {
+    date: { type: String, required: true }, // YYYY-MM-DD, store-local
+    closed: { type: Boolean, default: false },
+    open: { type: String },
+    close: { type: String },
+    note: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+const openingHoursSchema = new mongoose.Schema(
+  {
+    timezone: { type: String, required: true, trim: true }, // IANA name
+    weekly: { type: [weeklyHoursSchema], default: [] },
+    exceptions: { type: [hoursExceptionSchema], default: [] },
+  },
+  { _id: false }
+);
 
 const storeSchema = new mongoose.Schema(
   {
@@ -37,12 +71,37 @@ const storeSchema = new mongoose.Schema(
       required: false,
       trim: true,
     },
+    // Storage key of image, kept in sync by the hook below (see utils/imageKey)
+    imageKey: {
+      type: String,
+      default: null,
+    },
+
+    // Optional; stores without hours are excluded from "open now" filtering
+    hours: {
+      type: openingHoursSchema,
+      default: undefined,
+    },
+
+    // Default low-stock alert threshold for products that don't set their own
+    lowStockThreshold: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
 
     ownerId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: false, // make req later
     },
+
+    // Soft delete: archived stores are hidden from listings and search but
+    // can still be restored by their owner
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
@@ -53,6 +112,9 @@ storeSchema.index({ geo: '2dsphere' });
 // Performance indexes for filtering and sorting
 storeSchema.index({ ownerId: 1 });
 storeSchema.index({ createdAt: -1 });
+storeSchema.index({ archivedAt: 1 });
+storeSchema.index({ imageKey: 1 }); // image sweep: which stores use an upload
+storeSchema.index({ 'hours.timezone': 1 }); // "open now" filter groups stores by timezone
 // Text index: replaces $regex — name weighted higher so keyword hits on store
 // names score above incidental addressText matches
 storeSchema.index(
@@ -60,5 +122,11 @@ storeSchema.index(
   { weights: { name: 10, addressText: 5 }, default_language: 'english' }
 );
 
+storeSchema.pre('save', function () {
+  if (this.isModified('image')) {
+    this.imageKey = getImageKey(this.image);
+  }
+});
+
 const Store = mongoose.model('Store', storeSchema);
 module.exports = Store;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// Roles an invitation can grant; ownership only changes hands by transfer
+const INVITABLE_ROLES = ['manager', 'contributor'];
+
+// Pending email invitation to join a store. Only the token hash is stored;
+// the raw token is emailed to the invitee.
+const storeInvitationSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      required: true,
+    },
+
+    email: {
+      type: String,
+      required: true,
+      lowercase: true,
+      trim: true,
+    },
+
+    role: {
+      type: String,
+      enum: INVITABLE_ROLES,
+      required: true,
+    },
+
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+storeInvitationSchema.index({ tokenHash: 1 }, { unique: true });
+// One pending invitation per email per store
+storeInvitationSchema.index({ storeId: 1, email: 1 }, { unique: true });
+// Mongo removes expired invitations on its own
+storeInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const StoreInvitation = mongoose.model('StoreInvitation', storeInvitationSchema);
+
+StoreInvitation.ROLES = INVITABLE_ROLES;
+
+module.exports = StoreInvitation;
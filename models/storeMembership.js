@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// What a member may do in a store (see utils/storeAccess)
+const STORE_ROLES = ['owner', 'manager', 'contributor'];
+
+// Links a user to a store they help maintain. Store.ownerId mirrors the
+// single 'owner' membership; stores created before memberships existed
+// only have ownerId.
+const storeMembershipSchema = new mongoose.Schema(
+  {
+    storeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Store',
+      required: true,
+    },
+
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    role: {
+      type: String,
+      enum: STORE_ROLES,
+      required: true,
+    },
+
+    // null for the owner who created the store
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+storeMembershipSchema.index({ storeId: 1, userId: 1 }, { unique: true });
+storeMembershipSchema.index({ userId: 1 });
+
+const StoreMembership = mongoose.model('StoreMembership', storeMembershipSchema);
+
+StoreMembership.ROLES = STORE_ROLES;
+
+module.exports = StoreMembership;
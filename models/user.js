@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { ROLES } = require('../utils/permissions');
 
 const userSchema = new mongoose.Schema(
   {
@@ -21,6 +22,35 @@ const userSchema = new mongoose.Schema(
       trim: true,
     },
 
+    // Access level (see utils/permissions)
+    role: {
+      type: String,
+      enum: ROLES,
+      default: 'user',
+    },
+
+    // false until the emailed link is used. Accounts created before
+    // verification existed have no value and are treated as verified.
+    emailVerified: {
+      type: Boolean,
+    },
+
+    // New address waiting for verification; email changes only once the
+    // link sent here is used
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+
+    emailVerificationToken: {
+      type: String,
+    },
+
+    emailVerificationExpires: {
+      type: Date,
+    },
+
     passwordResetToken: {
       type: String,
     },
@@ -29,6 +59,15 @@ const userSchema = new mongoose.Schema(
       type: Date,
     },
 
+    // Passwordless sign-in link (hashed, single use)
+    magicLinkToken: {
+      type: String,
+    },
+
+    magicLinkExpires: {
+      type: Date,
+    },
+
     passwordChangedAt: {
       type: Date,
     },
@@ -51,13 +90,45 @@ const userSchema = new mongoose.Schema(
       type: Date,
     },
 
+    // TOTP two-factor authentication (see utils/totp)
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      // Encrypted secrets; pendingSecret holds an enrollment not yet confirmed
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      // Last accepted time step, so a code can't be used twice
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      // SHA-256 hashes of unused one-time recovery codes
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+
     // Refresh tokens for JWT refresh strategy
     // Supports multiple active sessions (logout specific device)
+    // Each entry is a token family; see utils/refreshTokens
     refreshTokens: [
       {
-        token: {
+        // SHA-256 of the family's current token (never stored in plaintext).
+        // Not required: entries from before hashing lack it and are pruned.
+        tokenHash: {
           type: String,
-          required: true,
         },
         expiresAt: {
           type: Date,
@@ -67,6 +138,17 @@ const userSchema = new mongoose.Schema(
           type: Date,
           default: Date.now,
         },
+        // Device metadata shown in the session list
+        lastUsedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        userAgent: {
+          type: String,
+        },
+        ipAddress: {
+          type: String,
+        },
       },
     ],
   },
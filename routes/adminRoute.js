@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+const { validateBody } = require('../middleware/validationMiddleware');
+const { auditLog } = require('../middleware/auditMiddleware');
+const { csrfProtection } = require('../middleware/csrfMiddleware');
+
+const {
+  updateUserRoleSchema,
+  updateUserLockSchema,
+} = require('../schemas/adminSchemas');
+
+const {
+  getUsers,
+  getUserById,
+  updateUserRole,
+  updateUserLock,
+} = require('../controllers/adminController');
+
+// every admin route requires a signed-in user with user management rights
+router.use(authMiddleware, requirePermission('users:manage'));
+
+// list / search users
+router.get('/users', getUsers);
+
+// get one user
+router.get('/users/:id', getUserById);
+
+// change a user's role with CSRF, validation, and audit log
+router.put('/users/:id/role', csrfProtection, validateBody(updateUserRoleSchema), auditLog('USER_ROLE_CHANGE', 'User'), updateUserRole);
+
+// lock / unlock a user account with CSRF, validation, and audit log
+router.put('/users/:id/lock', csrfProtection, validateBody(updateUserLockSchema), auditLog('USER_LOCK_CHANGE', 'User'), updateUserLock);
+
+module.exports = router;
@@ -4,14 +4,45 @@ const router = express.Router();
 const {
   registerUser,
   loginUser,
+  loginTwoFactor,
+  requestMagicLink,
+  consumeMagicLink,
   getMe,
   changePassword,
   forgotPassword,
   resetPassword,
+  verifyEmail,
+  resendVerification,
   refreshAccessToken,
   logout,
 } = require('../controllers/authController');
 
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require('../controllers/twoFactorController');
+
+const {
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+} = require('../controllers/sessionController');
+
+const {
+  updateProfile,
+  exportAccount,
+  deleteAccount,
+} = require('../controllers/accountController');
+
+const {
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+} = require('../controllers/apiKeyController');
+
 const authMiddleware = require('../middleware/authMiddleware');
 const { profanityFilter } = require('../middleware/profanityMiddleware');
 const {
@@ -19,6 +50,13 @@ const {
   registerLimiter,
   forgotPasswordLimiter,
   resetPasswordLimiter,
+  magicLinkLimiter,
+  magicLinkVerifyLimiter,
+  twoFactorLimiter,
+  verificationEmailLimiter,
+  verifyEmailLimiter,
+  profileUpdateLimiter,
+  createApiKeyLimiter,
 } = require('../middleware/rateLimitMiddleware');
 
 const {
@@ -29,20 +67,31 @@ const {
 const {
   registerSchema,
   loginSchema,
+  twoFactorCodeSchema,
+  loginTwoFactorSchema,
+  disableTwoFactorSchema,
+  updateProfileSchema,
+  deleteAccountSchema,
+  createApiKeySchema,
   changePasswordSchema,
   forgotPasswordSchema,
   resetPasswordSchema,
+  magicLinkSchema,
+  consumeMagicLinkSchema,
+  verifyEmailSchema,
   refreshTokenSchema,
   logoutSchema,
 } = require('../schemas/authSchemas');
 
 const {
+  auditLog,
   auditAuthAttempt,
   auditPasswordChange,
 } = require('../middleware/auditMiddleware');
 
 const {
   csrfProtection,
+  tokenAuthCsrfProtection,
   csrfTokenHandler,
 } = require('../middleware/csrfMiddleware');
 
@@ -51,25 +100,62 @@ const {
 router.get('/csrf-token', csrfProtection, csrfTokenHandler);
 
 // Register with CSRF, rate limiting and validation
-router.post('/register', csrfProtection, registerLimiter, validateBody(registerSchema), profanityFilter('displayName', 'Display name'), registerUser);
+router.post('/register', tokenAuthCsrfProtection, registerLimiter, validateBody(registerSchema), profanityFilter('displayName', 'Display name'), registerUser);
 // Login with CSRF, rate limiting and validation
-router.post('/login', csrfProtection, loginLimiter, validateBody(loginSchema), loginUser);
+router.post('/login', tokenAuthCsrfProtection, loginLimiter, validateBody(loginSchema), loginUser);
+// Second login step for accounts with 2FA, with CSRF, rate limiting and validation
+router.post('/login/2fa', tokenAuthCsrfProtection, twoFactorLimiter, validateBody(loginTwoFactorSchema), loginTwoFactor);
+
+// Passwordless sign-in: email a single-use link, then exchange it for a session
+router.post('/magic-link', csrfProtection, magicLinkLimiter, validateBody(magicLinkSchema), requestMagicLink);
+router.post('/magic-link/verify', tokenAuthCsrfProtection, magicLinkVerifyLimiter, validateBody(consumeMagicLinkSchema), consumeMagicLink);
 
 // Refresh access token (no auth required, uses refresh token in body)
-router.post('/refresh', csrfProtection, validateBody(refreshTokenSchema), refreshAccessToken);
+router.post('/refresh', tokenAuthCsrfProtection, validateBody(refreshTokenSchema), refreshAccessToken);
 
 // Get current user (requires JWT)
 router.get('/me', authMiddleware, getMe);
 
+// Update profile (requires JWT) with CSRF, rate limiting, validation, and audit logging
+router.put('/me', authMiddleware, csrfProtection, profileUpdateLimiter, validateBody(updateProfileSchema), profanityFilter('displayName', 'Display name'), auditLog('PROFILE_UPDATE', 'User'), updateProfile);
+
+// Download everything stored about the current user (requires JWT)
+router.get('/me/export', authMiddleware, auditLog('ACCOUNT_EXPORT', 'User'), exportAccount);
+
+// Delete account (requires JWT) with CSRF, validation, and audit logging
+router.delete('/me', authMiddleware, csrfProtection, twoFactorLimiter, validateBody(deleteAccountSchema), auditLog('ACCOUNT_DELETE', 'User'), deleteAccount);
+
 // Logout (requires JWT) with CSRF
 router.post('/logout', authMiddleware, csrfProtection, logout);
 
+// Signed-in devices (requires JWT); revoking uses CSRF and audit logging
+router.get('/sessions', authMiddleware, getSessions);
+router.delete('/sessions', authMiddleware, csrfProtection, auditLog('SESSIONS_REVOKE_OTHERS', 'Session'), revokeOtherSessions);
+router.delete('/sessions/:id', authMiddleware, csrfProtection, auditLog('SESSION_REVOKE', 'Session'), revokeSession);
+
+// Personal API keys for integrations (requires JWT; an API key can't manage keys)
+router.get('/api-keys', authMiddleware, listApiKeys);
+router.post('/api-keys', authMiddleware, csrfProtection, createApiKeyLimiter, validateBody(createApiKeySchema), profanityFilter('name', 'API key name'), auditLog('API_KEY_CREATE', 'ApiKey'), createApiKey);
+router.delete('/api-keys/:id', authMiddleware, csrfProtection, auditLog('API_KEY_REVOKE', 'ApiKey'), revokeApiKey);
+
 // Change password (requires JWT) with CSRF, validation, and audit logging
 router.put('/change-password', authMiddleware, csrfProtection, validateBody(changePasswordSchema), auditPasswordChange(), changePassword);
 
+// Two-factor status and enrollment (requires JWT)
+router.get('/2fa', authMiddleware, getTwoFactorStatus);
+router.post('/2fa/setup', authMiddleware, csrfProtection, setupTwoFactor);
+router.post('/2fa/enable', authMiddleware, csrfProtection, twoFactorLimiter, validateBody(twoFactorCodeSchema), auditLog('TWO_FACTOR_ENABLE', 'User'), enableTwoFactor);
+router.post('/2fa/disable', authMiddleware, csrfProtection, twoFactorLimiter, validateBody(disableTwoFactorSchema), auditLog('TWO_FACTOR_DISABLE', 'User'), disableTwoFactor);
+router.post('/2fa/recovery-codes', authMiddleware, csrfProtection, twoFactorLimiter, validateBody(twoFactorCodeSchema), regenerateRecoveryCodes);
+
 // forgot password with CSRF, rate limiting
 router.post("/forgot-password", csrfProtection, forgotPasswordLimiter, validateBody(forgotPasswordSchema), forgotPassword);
 // reset password flow with CSRF, rate limiting
 router.post("/reset-password", csrfProtection, resetPasswordLimiter, validateBody(resetPasswordSchema), resetPassword);
 
+// verify email from the emailed link with CSRF, rate limiting
+router.post("/verify-email", csrfProtection, verifyEmailLimiter, validateBody(verifyEmailSchema), verifyEmail);
+// resend the verification link (requires JWT) with CSRF, rate limiting
+router.post("/resend-verification", authMiddleware, csrfProtection, verificationEmailLimiter, resendVerification);
+
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { suggestImage, upload, uploadImage } = require('../controllers/imageController');
+const { suggestImage, upload, uploadImage, getMyImages, deleteMyImage } = require('../controllers/imageController');
 const { imageSuggestionLimiter, imageUploadLimiter } = require('../middleware/rateLimitMiddleware');
 const authMiddleware = require('../middleware/authMiddleware');
 const { csrfProtection } = require('../middleware/csrfMiddleware');
+const { auditLog } = require('../middleware/auditMiddleware');
 
 router.get('/suggest', imageSuggestionLimiter, suggestImage);
 router.post('/upload', authMiddleware, csrfProtection, imageUploadLimiter, upload.single('image'), uploadImage);
 
+// the current user's uploads, and deleting ones that aren't in use
+router.get('/mine', authMiddleware, getMyImages);
+router.delete('/:id', authMiddleware, csrfProtection, auditLog('IMAGE_DELETE', 'Image'), deleteMyImage);
+
 module.exports = router;
\ No newline at end of file
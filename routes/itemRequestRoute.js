@@ -0,0 +1,40 @@
+const express = require('express');
+// mergeParams: mounted under /api/stores/:storeId/requests
+const router = express.Router({ mergeParams: true });
+
+const { allowApiKey } = require('../middleware/apiKeyMiddleware');
+const { validateBody } = require('../middleware/validationMiddleware');
+const { auditLog } = require('../middleware/auditMiddleware');
+const { profanityFilter } = require('../middleware/profanityMiddleware');
+const { csrfProtection } = require('../middleware/csrfMiddleware');
+const {
+  createItemRequestLimiter,
+  itemRequestVoteLimiter,
+  updateStoreLimiter,
+} = require('../middleware/rateLimitMiddleware');
+
+const {
+  createItemRequestSchema,
+  updateItemRequestStatusSchema,
+} = require('../schemas/itemRequestSchemas');
+
+const {
+  getItemRequests,
+  createItemRequest,
+  upvoteItemRequest,
+  updateItemRequestStatus,
+} = require('../controllers/itemRequestController');
+
+// list a store's needs list (public)
+router.get('/', getItemRequests);
+
+// request an item (public) with CSRF, rate limit, validation, profanity filter, and audit log
+router.post('/', csrfProtection, createItemRequestLimiter, validateBody(createItemRequestSchema), profanityFilter('text', 'Request'), auditLog('ITEM_REQUEST_CREATE', 'ItemRequest'), createItemRequest);
+
+// upvote a request (public, one vote per visitor) with CSRF and rate limit
+router.post('/:requestId/upvote', csrfProtection, itemRequestVoteLimiter, upvoteItemRequest);
+
+// fulfil / decline / reopen a request (owner or moderator) with CSRF, rate limit, validation, and audit log
+router.put('/:requestId/status', allowApiKey('stores:write'), csrfProtection, updateStoreLimiter, validateBody(updateItemRequestStatusSchema), auditLog('ITEM_REQUEST_STATUS', 'ItemRequest'), updateItemRequestStatus);
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const authMiddleware = require('../middleware/authMiddleware');
+const { allowApiKey } = require('../middleware/apiKeyMiddleware');
 const { validateBody, validateParams } = require('../middleware/validationMiddleware');
 const { auditLog } = require('../middleware/auditMiddleware');
 const { profanityFilter } = require('../middleware/profanityMiddleware');
@@ -9,16 +9,20 @@ const {
   createProductLimiter,
   updateProductLimiter,
   deleteProductLimiter,
+  visitorActionLimiter,
+  visitorProductActionLimiter,
 } = require('../middleware/rateLimitMiddleware');
 
 const {
   createProductSchema,
   updateProductSchema,
+  visitorActionSchema,
   productIdSchema,
 } = require('../schemas/productSchemas');
 
 const {
   getProducts,
+  getProductTaxonomy,
   getProductById,
   createProduct,
   updateProduct,
@@ -27,15 +31,31 @@ const {
   createProductForStore,
 } = require('../controllers/productController');
 
+const {
+  getProductHistory,
+  takeProduct,
+  restockProduct,
+} = require('../controllers/inventoryController');
+
 // GET products for a specific store
 router.get('/store/:storeId', getProductsByStore);
 
 // POST product into a specific store with CSRF, rate limit, validation, and audit log
-router.post('/store/:storeId', authMiddleware, csrfProtection, createProductLimiter, validateBody(createProductSchema), profanityFilter('name', 'Product name'), auditLog('PRODUCT_CREATE', 'Product'), createProductForStore);
+router.post('/store/:storeId', allowApiKey('products:write'), csrfProtection, createProductLimiter, validateBody(createProductSchema), profanityFilter('name', 'Product name'), auditLog('PRODUCT_CREATE', 'Product'), createProductForStore);
 
 // get all products
 router.get('/', getProducts);
 
+// get the managed category and tag lists (must stay above /:id)
+router.get('/taxonomy', getProductTaxonomy);
+
+// inventory ledger for a product (store members)
+router.get('/:id/history', allowApiKey('products:read'), getProductHistory);
+
+// visitor "I took one" / "I restocked" reports: no account needed, CSRF plus per-IP and per-product rate limits
+router.post('/:id/take', csrfProtection, visitorActionLimiter, visitorProductActionLimiter, validateBody(visitorActionSchema), auditLog('PRODUCT_TAKE', 'Product'), takeProduct);
+router.post('/:id/restock', csrfProtection, visitorActionLimiter, visitorProductActionLimiter, validateBody(visitorActionSchema), auditLog('PRODUCT_RESTOCK', 'Product'), restockProduct);
+
 // get a single product by ID
 router.get('/:id', getProductById);
 
@@ -43,9 +63,9 @@ router.get('/:id', getProductById);
 router.post('/', csrfProtection, createProductLimiter, validateBody(createProductSchema), profanityFilter('name', 'Product name'), auditLog('PRODUCT_CREATE', 'Product'), createProduct);
 
 // update a product by ID with CSRF, rate limit, validation, and audit log
-router.put('/:id', authMiddleware, csrfProtection, updateProductLimiter, validateBody(updateProductSchema), profanityFilter('name', 'Product name'), auditLog('PRODUCT_UPDATE', 'Product'), updateProduct);
+router.put('/:id', allowApiKey('products:write'), csrfProtection, updateProductLimiter, validateBody(updateProductSchema), profanityFilter('name', 'Product name'), auditLog('PRODUCT_UPDATE', 'Product'), updateProduct);
 
 // delete a product by ID with CSRF, rate limit and audit log
-router.delete('/:id', authMiddleware, csrfProtection, deleteProductLimiter, auditLog('PRODUCT_DELETE', 'Product'), deleteProduct);
+router.delete('/:id', allowApiKey('products:write'), csrfProtection, deleteProductLimiter, auditLog('PRODUCT_DELETE', 'Product'), deleteProduct);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,49 @@
+const express = require('express');
+// mergeParams: mounted under /api/stores/:storeId/members
+const router = express.Router({ mergeParams: true });
+
+const authMiddleware = require('../middleware/authMiddleware');
+const { validateBody } = require('../middleware/validationMiddleware');
+const { auditLog } = require('../middleware/auditMiddleware');
+const { csrfProtection } = require('../middleware/csrfMiddleware');
+const {
+  inviteMemberLimiter,
+  updateStoreLimiter,
+} = require('../middleware/rateLimitMiddleware');
+
+const {
+  inviteMemberSchema,
+  updateMemberRoleSchema,
+} = require('../schemas/storeMemberSchemas');
+
+const {
+  getMembers,
+  inviteMember,
+  getInvitations,
+  revokeInvitation,
+  updateMemberRole,
+  removeMember,
+} = require('../controllers/storeMemberController');
+
+// every member route requires a signed-in user
+router.use(authMiddleware);
+
+// list members (store members)
+router.get('/', getMembers);
+
+// list pending invitations (owner or manager)
+router.get('/invitations', getInvitations);
+
+// invite by email (owner or manager) with CSRF, rate limit, validation, and audit log
+router.post('/invitations', csrfProtection, inviteMemberLimiter, validateBody(inviteMemberSchema), auditLog('STORE_MEMBER_INVITE', 'StoreInvitation'), inviteMember);
+
+// revoke a pending invitation (owner or manager) with CSRF and audit log
+router.delete('/invitations/:invitationId', csrfProtection, auditLog('STORE_MEMBER_INVITE_REVOKE', 'StoreInvitation'), revokeInvitation);
+
+// change a member's role (owner or manager) with CSRF, rate limit, validation, and audit log
+router.put('/:userId', csrfProtection, updateStoreLimiter, validateBody(updateMemberRoleSchema), auditLog('STORE_MEMBER_ROLE_CHANGE', 'StoreMembership'), updateMemberRole);
+
+// remove a member, or leave the store yourself, with CSRF and audit log
+router.delete('/:userId', csrfProtection, auditLog('STORE_MEMBER_REMOVE', 'StoreMembership'), removeMember);
+
+module.exports = router;
@@ -2,19 +2,28 @@ const express = require('express');
 const router = express.Router();
 
 const authMiddleware = require('../middleware/authMiddleware');
-const { validateBody, validateParams } = require('../middleware/validationMiddleware');
+const { optionalAuth } = require('../middleware/optionalAuthMiddleware');
+const { allowApiKey } = require('../middleware/apiKeyMiddleware');
+const { requirePermission } = require('../middleware/roleMiddleware');
+const { requireVerifiedEmail } = require('../middleware/verifiedEmailMiddleware');
+const { validateBody, validateParams, validateQuery } = require('../middleware/validationMiddleware');
 const { auditLog } = require('../middleware/auditMiddleware');
 const { profanityFilter } = require('../middleware/profanityMiddleware');
 const { csrfProtection } = require('../middleware/csrfMiddleware');
 const {
   createStoreLimiter,
   updateStoreLimiter,
+  deleteStoreLimiter,
+  inviteMemberLimiter,
   createProductLimiter,
+  searchLimiter,
 } = require('../middleware/rateLimitMiddleware');
 
 const {
   createStoreSchema,
   updateStoreSchema,
+  nearbyStoresSchema,
+  viewportSchema,
   storeIdSchema,
 } = require('../schemas/storeSchemas');
 
@@ -24,9 +33,13 @@ const {
 
 const {
   getStores,
+  getNearbyStores,
+  getStoresInViewport,
   getStoreById,
   createStore,
   updateStore,
+  deleteStore,
+  restoreStore,
 } = require('../controllers/storeController');
 
 const {
@@ -34,20 +47,66 @@ const {
   createProductForStore,
 } = require('../controllers/productController');
 
+const { getStoreHistory } = require('../controllers/inventoryController');
+
+const {
+  getMyStores,
+  acceptInvitation,
+  transferOwnership,
+} = require('../controllers/storeMemberController');
+
+const {
+  acceptInvitationSchema,
+  transferOwnershipSchema,
+} = require('../schemas/storeMemberSchemas');
+
+const itemRequestRoute = require('./itemRequestRoute');
+const storeMemberRoute = require('./storeMemberRoute');
+
 // store -> products (public for now)
 router.get('/:storeId/products', getProductsByStore);
-router.post('/:storeId/products', authMiddleware, csrfProtection, createProductLimiter, validateBody(createProductSchema), profanityFilter('name', 'Product name'), auditLog('PRODUCT_CREATE', 'Product'), createProductForStore);
+router.post('/:storeId/products', allowApiKey('products:write'), csrfProtection, createProductLimiter, validateBody(createProductSchema), profanityFilter('name', 'Product name'), auditLog('PRODUCT_CREATE', 'Product'), createProductForStore);
+
+// store -> needs list (item requests)
+router.use('/:storeId/requests', itemRequestRoute);
+
+// store -> members and invitations
+router.use('/:storeId/members', storeMemberRoute);
+
+// hand the store to another member (owner or admin) with CSRF, rate limit, validation, and audit log
+router.post('/:storeId/transfer', authMiddleware, csrfProtection, updateStoreLimiter, validateBody(transferOwnershipSchema), auditLog('STORE_OWNERSHIP_TRANSFER', 'Store'), transferOwnership);
+
+// inventory ledger for every product in a store (store members)
+router.get('/:storeId/history', allowApiKey('products:read'), getStoreHistory);
 
 // get all stores
 router.get('/', getStores);
 
-// create store with CSRF, rate limit, validation, and audit log
-router.post('/', authMiddleware, csrfProtection, createStoreLimiter, validateBody(createStoreSchema), profanityFilter('name', 'Store name'), auditLog('STORE_CREATE', 'Store'), createStore);
+// stores the current user owns or helps run (must stay above /:id)
+router.get('/mine', allowApiKey('stores:read'), getMyStores);
+
+// accept a store invitation from the emailed link, with CSRF, rate limit, validation, and audit log
+router.post('/invitations/accept', authMiddleware, csrfProtection, inviteMemberLimiter, validateBody(acceptInvitationSchema), auditLog('STORE_MEMBER_JOIN', 'StoreMembership'), acceptInvitation);
+
+// stores sorted by distance from a point, with rate limiting (must stay above /:id)
+router.get('/nearby', searchLimiter, validateQuery(nearbyStoresSchema), getNearbyStores);
+
+// stores (or clusters when zoomed out) inside a map bounding box (must stay above /:id)
+router.get('/viewport', searchLimiter, validateQuery(viewportSchema), getStoresInViewport);
+
+// create store (verified email required) with CSRF, rate limit, validation, and audit log
+router.post('/', authMiddleware, requireVerifiedEmail, requirePermission('stores:create'), csrfProtection, createStoreLimiter, validateBody(createStoreSchema), profanityFilter('name', 'Store name'), auditLog('STORE_CREATE', 'Store'), createStore);
 
 // update store with CSRF, rate limit, validation, and audit log
-router.put('/:id', authMiddleware, csrfProtection, updateStoreLimiter, validateBody(updateStoreSchema), profanityFilter('name', 'Store name'), auditLog('STORE_UPDATE', 'Store'), updateStore);
+router.put('/:id', allowApiKey('stores:write'), csrfProtection, updateStoreLimiter, validateBody(updateStoreSchema), profanityFilter('name', 'Store name'), auditLog('STORE_UPDATE', 'Store'), updateStore);
+
+// archive store (owner, moderator or admin; purge with ?purge=true is owner or admin) with CSRF, rate limit, and audit log
+router.delete('/:id', authMiddleware, csrfProtection, deleteStoreLimiter, auditLog('STORE_DELETE', 'Store'), deleteStore);
+
+// restore an archived store with CSRF, rate limit, and audit log
+router.post('/:id/restore', authMiddleware, csrfProtection, updateStoreLimiter, auditLog('STORE_RESTORE', 'Store'), restoreStore);
 
-// get one store (keep last)
-router.get('/:id', getStoreById);
+// get one store (keep last); archived stores only for their members and staff
+router.get('/:id', optionalAuth, getStoreById);
 
 module.exports = router;
@@ -0,0 +1,24 @@
+const { z } = require("zod");
+const { ROLES } = require('../utils/permissions');
+
+/**
+ * Update user role validation schema
+ */
+const updateUserRoleSchema = z.object({
+  role: z.enum(ROLES, {
+    message: "Role must be one of: " + ROLES.join(", "),
+  }),
+});
+
+/**
+ * Lock / unlock user validation schema
+ * locked: true locks the account until an admin unlocks it
+ */
+const updateUserLockSchema = z.object({
+  locked: z.boolean({ message: "locked must be true or false" }),
+});
+
+module.exports = {
+  updateUserRoleSchema,
+  updateUserLockSchema,
+};
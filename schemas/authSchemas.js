@@ -1,5 +1,6 @@
 const { z } = require("zod");
 const { normalizeString } = require('../utils/sanitizers');
+const { SCOPES: API_KEY_SCOPES } = require('../models/apiKey');
 
 // Email validation - RFC 5322 compliant
 const emailSchema = z
@@ -14,19 +15,29 @@ const passwordSchema = z
   .min(8, "Password must be at least 8 characters")
   .max(1024, "Password must not exceed 1024 characters");
 
+// How auth endpoints hand back tokens: 'cookie' (default, browsers) or
+// 'body' (native apps and scripts, used with Authorization: Bearer)
+const tokenDeliverySchema = z
+  .enum(["cookie", "body"], { message: "tokenDelivery must be one of: cookie, body" })
+  .optional();
+
+// Display name validation
+const displayNameSchema = z
+  .string()
+  .min(2, "Display name must be at least 2 characters")
+  .max(50, "Display name must not exceed 50 characters")
+  .transform(normalizeString);
+
 /**
  * Register validation schema
  * Validates new user registration data
  */
 const registerSchema = z.object({
-  displayName: z
-    .string()
-    .min(2, "Display name must be at least 2 characters")
-    .max(50, "Display name must not exceed 50 characters")
-    .transform(normalizeString),
+  displayName: displayNameSchema,
   email: emailSchema,
   password: passwordSchema,
   confirmPassword: z.string(),
+  tokenDelivery: tokenDeliverySchema,
 }).refine((data) => data.password === data.confirmPassword, {
   message: "Passwords don't match",
   path: ["confirmPassword"],
@@ -39,6 +50,7 @@ const registerSchema = z.object({
 const loginSchema = z.object({
   email: emailSchema,
   password: z.string().min(1, "Password is required"),
+  tokenDelivery: tokenDeliverySchema,
 });
 
 /**
@@ -61,6 +73,22 @@ const forgotPasswordSchema = z.object({
   email: emailSchema,
 });
 
+/**
+ * Magic link request validation schema
+ */
+const magicLinkSchema = z.object({
+  email: emailSchema,
+});
+
+/**
+ * Magic link consume validation schema
+ * token comes from the emailed sign-in link
+ */
+const consumeMagicLinkSchema = z.object({
+  token: z.string().min(1, "Sign-in token is required"),
+  tokenDelivery: tokenDeliverySchema,
+});
+
 /**
  * Reset password validation schema
  * Validates password reset with token
@@ -74,12 +102,123 @@ const resetPasswordSchema = z.object({
   path: ["confirmPassword"],
 });
 
+/**
+ * Verify email validation schema
+ * token comes from the verification email link
+ */
+const verifyEmailSchema = z.object({
+  token: z.string().min(1, "Verification token is required"),
+});
+
+// TOTP code from an authenticator app
+const totpCodeSchema = z
+  .string()
+  .transform((val) => val.replace(/\s/g, ""))
+  .pipe(z.string().regex(/^\d{6}$/, "Code must be 6 digits"));
+
+// One-time recovery code, e.g. "a1b2c-3d4e5"
+const recoveryCodeSchema = z
+  .string()
+  .min(10, "Invalid recovery code")
+  .max(20, "Invalid recovery code");
+
+/**
+ * Two-factor code validation schema
+ * Used to confirm enrollment and to regenerate recovery codes
+ */
+const twoFactorCodeSchema = z.object({
+  code: totpCodeSchema,
+});
+
+/**
+ * Second login step validation schema
+ * Exactly one of code / recoveryCode
+ */
+const loginTwoFactorSchema = z.object({
+  challengeToken: z.string().min(1, "Challenge token is required"),
+  code: totpCodeSchema.optional(),
+  recoveryCode: recoveryCodeSchema.optional(),
+  tokenDelivery: tokenDeliverySchema,
+}).refine((data) => Boolean(data.code) !== Boolean(data.recoveryCode), {
+  message: "Provide either a code or a recovery code",
+  path: ["code"],
+});
+
+/**
+ * Disable two-factor validation schema
+ * Exactly one of code / recoveryCode
+ */
+const disableTwoFactorSchema = z.object({
+  password: z.string().min(1, "Password is required"),
+  code: totpCodeSchema.optional(),
+  recoveryCode: recoveryCodeSchema.optional(),
+}).refine((data) => Boolean(data.code) !== Boolean(data.recoveryCode), {
+  message: "Provide either a code or a recovery code",
+  path: ["code"],
+});
+
+/**
+ * Update profile validation schema
+ * Changing email requires the current password
+ */
+const updateProfileSchema = z.object({
+  displayName: displayNameSchema.optional(),
+  email: emailSchema.optional(),
+  currentPassword: z.string().optional(),
+}).refine((data) => data.displayName || data.email, {
+  message: "Nothing to update",
+  path: ["displayName"],
+}).refine((data) => !data.email || data.currentPassword, {
+  message: "Current password is required to change email",
+  path: ["currentPassword"],
+});
+
+/**
+ * Delete account validation schema
+ * code / recoveryCode are required when 2FA is enabled
+ */
+const deleteAccountSchema = z.object({
+  password: z.string().min(1, "Password is required"),
+  code: totpCodeSchema.optional(),
+  recoveryCode: recoveryCodeSchema.optional(),
+  storeHandling: z.enum(["transfer", "archive"], {
+    message: "storeHandling must be one of: transfer, archive",
+  }).optional(),
+});
+
+/**
+ * Create API key validation schema
+ * expiresInDays omitted = the key never expires
+ */
+const createApiKeySchema = z.object({
+  name: z
+    .string()
+    .min(1, "Name is required")
+    .max(100, "Name must not exceed 100 characters")
+    .transform(normalizeString),
+  scopes: z
+    .array(z.enum(API_KEY_SCOPES, { message: `Scopes must be any of: ${API_KEY_SCOPES.join(", ")}` }))
+    .min(1, "At least one scope is required")
+    .transform((scopes) => [...new Set(scopes)]),
+  expiresInDays: z
+    .number()
+    .int("expiresInDays must be a whole number")
+    .min(1, "expiresInDays must be at least 1")
+    .max(365, "expiresInDays must not exceed 365")
+    .optional(),
+});
+
 /**
  * Refresh token validation schema
  * Validates token refresh request
+ * Browsers send the refresh token as a cookie; body mode sends it here
  */
 const refreshTokenSchema = z.object({
-  refreshToken: z.string().min(1, "Refresh token is required"),
+  refreshToken: z.string().min(1, "Refresh token is required").optional(),
+  tokenDelivery: tokenDeliverySchema,
+}).refine((data) => data.tokenDelivery !== "body" || data.refreshToken, {
+  message: "Refresh token is required",
+  path: ["refreshToken"],
 });
 
 /**
@@ -91,11 +230,21 @@ const logoutSchema = z.object({
 }).strict();
 
 module.exports = {
+  emailSchema,
   registerSchema,
   loginSchema,
+  twoFactorCodeSchema,
+  loginTwoFactorSchema,
+  disableTwoFactorSchema,
+  updateProfileSchema,
+  deleteAccountSchema,
+  createApiKeySchema,
   changePasswordSchema,
   forgotPasswordSchema,
   resetPasswordSchema,
+  magicLinkSchema,
+  consumeMagicLinkSchema,
+  verifyEmailSchema,
   refreshTokenSchema,
   logoutSchema,
 };
@@ -0,0 +1,50 @@
+const { z } = require("zod");
+const { normalizeString } = require('../utils/sanitizers');
+const { STATUSES } = require('../models/itemRequest');
+
+const objectIdSchema = z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid ID");
+
+/**
+ * Request text validation
+ * Short description of the needed item, e.g. "Diapers size 4"
+ */
+const requestTextSchema = z
+  .string()
+  .min(2, "Request must be at least 2 characters")
+  .max(200, "Request must not exceed 200 characters")
+  .transform(normalizeString)
+  .refine(
+    (text) => /^[a-zA-Z0-9\s\-_.,'&()#!?/]+$/.test(text),
+    "Request can only contain letters, numbers, spaces, and basic punctuation"
+  );
+
+/**
+ * Create item request validation schema
+ */
+const createItemRequestSchema = z.object({
+  text: requestTextSchema,
+});
+
+/**
+ * Update item request status validation schema
+ * productId links a fulfilled request to the product that was stocked
+ */
+const updateItemRequestStatusSchema = z.object({
+  status: z.enum(STATUSES, {
+    message: "Status must be one of: " + STATUSES.join(", "),
+  }),
+  productId: objectIdSchema.optional(),
+  note: z
+    .string()
+    .max(200, "Note must not exceed 200 characters")
+    .transform(normalizeString)
+    .optional(),
+}).refine((data) => !data.productId || data.status === "fulfilled", {
+  message: "Only fulfilled requests can be linked to a product",
+  path: ["productId"],
+});
+
+module.exports = {
+  createItemRequestSchema,
+  updateItemRequestStatusSchema,
+};
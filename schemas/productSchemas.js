@@ -1,5 +1,7 @@
 const { z } = require("zod");
 const { normalizeString } = require('../utils/sanitizers');
+const { CATEGORY_SLUGS, TAG_SLUGS } = require('../utils/productTaxonomy');
+const { REASONS: INVENTORY_REASONS } = require('../models/inventoryTransaction');
 
 /**
  * Product name validation
@@ -44,6 +46,12 @@ const quantitySchema = z
   )
   .transform((val) => (typeof val === "string" ? parseInt(val, 10) : val));
 
+/**
+ * Low-stock threshold validation
+ * Same rules as quantity; alerts fire when quantity drops to or below it
+ */
+const lowStockThresholdSchema = quantitySchema;
+
 /**
  * Image URL validation
  * Must be a valid HTTP(S) URL
@@ -60,6 +68,36 @@ const imageUrlSchema = z
   .or(z.literal(""))
   .transform((val) => val || undefined);
 
+/**
+ * Expiration / best-by date validation
+ * Accepts an ISO date or datetime string
+ */
+const expiresAtSchema = z
+  .string()
+  .refine((val) => !isNaN(Date.parse(val)), "Expiration date must be a valid date")
+  .transform((val) => new Date(val));
+
+/**
+ * Product category validation
+ * Must be one of the managed category slugs
+ */
+const categorySchema = z.enum(CATEGORY_SLUGS, {
+  message: "Category must be one of: " + CATEGORY_SLUGS.join(", "),
+});
+
+/**
+ * Dietary/allergen tags validation
+ * Array of managed tag slugs; duplicates are dropped
+ */
+const tagsSchema = z
+  .array(
+    z.enum(TAG_SLUGS, {
+      message: "Tags must be any of: " + TAG_SLUGS.join(", "),
+    })
+  )
+  .max(20, "A product can have at most 20 tags")
+  .transform((tags) => [...new Set(tags)]);
+
 /**
  * Create product validation schema
  * Validates product creation data (storeId comes from URL params)
@@ -68,8 +106,29 @@ const createProductSchema = z.object({
   name: productNameSchema,
   quantity: quantitySchema,
   image: imageUrlSchema,
+  category: categorySchema.optional(),
+  tags: tagsSchema.optional(),
+  expiresAt: expiresAtSchema.optional(),
+  lowStockThreshold: lowStockThresholdSchema.optional(),
 });
 
+/**
+ * Inventory change reason validation
+ * Recorded in the inventory ledger alongside quantity changes
+ */
+const inventoryReasonSchema = z.enum(INVENTORY_REASONS, {
+  message: "Reason must be one of: " + INVENTORY_REASONS.join(", "),
+});
+
+/**
+ * Inventory note validation
+ * Optional free text stored with a ledger entry
+ */
+const inventoryNoteSchema = z
+  .string()
+  .max(200, "Note must not exceed 200 characters")
+  .transform(normalizeString);
+
 /**
  * Update product validation schema
  * Validates product update data
@@ -78,11 +137,33 @@ const updateProductSchema = z.object({
   name: productNameSchema.optional(),
   quantity: quantitySchema.optional(),
   image: imageUrlSchema.optional(),
+  category: categorySchema.optional(),
+  tags: tagsSchema.optional(),
+  // null clears the expiration date
+  expiresAt: expiresAtSchema.nullable().optional(),
+  // null falls back to the store's threshold
+  lowStockThreshold: lowStockThresholdSchema.nullable().optional(),
+  // why quantity changed (ledger); defaults to "correction"
+  quantityReason: inventoryReasonSchema.optional(),
+  quantityNote: inventoryNoteSchema.optional(),
 }).refine(
   (data) => Object.keys(data).length > 0,
   "At least one field must be provided for update"
 );
 
+/**
+ * Visitor "took one" / "restocked" validation schema
+ * Body is optional; amount defaults to 1 and is capped to limit abuse
+ */
+const visitorActionSchema = z.object({
+  amount: z
+    .number()
+    .int("Amount must be a whole number")
+    .min(1, "Amount must be at least 1")
+    .max(10, "Amount must not exceed 10")
+    .optional(),
+}).optional();
+
 /**
  * Product ID validation
  * Standard MongoDB ObjectId format
@@ -92,7 +173,13 @@ const productIdSchema = z.object({
 });
 
 module.exports = {
+  quantitySchema,
+  categorySchema,
+  tagsSchema,
+  inventoryReasonSchema,
+  inventoryNoteSchema,
   createProductSchema,
   updateProductSchema,
+  visitorActionSchema,
   productIdSchema,
 };
@@ -0,0 +1,48 @@
+const { z } = require("zod");
+const { emailSchema } = require('./authSchemas');
+const StoreInvitation = require('../models/storeInvitation');
+
+const objectIdSchema = z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid ID");
+
+// Roles that can be granted by invitation or role change (not owner)
+const memberRoleSchema = z.enum(StoreInvitation.ROLES, {
+  message: "Role must be one of: " + StoreInvitation.ROLES.join(", "),
+});
+
+/**
+ * Invite member validation schema
+ */
+const inviteMemberSchema = z.object({
+  email: emailSchema,
+  role: memberRoleSchema,
+});
+
+/**
+ * Accept invitation validation schema
+ * token comes from the invitation email link
+ */
+const acceptInvitationSchema = z.object({
+  token: z.string().min(1, "Invitation token is required"),
+});
+
+/**
+ * Update member role validation schema
+ */
+const updateMemberRoleSchema = z.object({
+  role: memberRoleSchema,
+});
+
+/**
+ * Transfer ownership validation schema
+ * The new owner must already be a member of the store
+ */
+const transferOwnershipSchema = z.object({
+  userId: objectIdSchema,
+});
+
+module.exports = {
+  inviteMemberSchema,
+  acceptInvitationSchema,
+  updateMemberRoleSchema,
+  transferOwnershipSchema,
+};
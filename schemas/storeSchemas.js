@@ -1,5 +1,7 @@
 const { z } = require("zod");
 const { normalizeString } = require('../utils/sanitizers');
+const { isValidTimeZone } = require('../utils/openingHours');
+const { quantitySchema, categorySchema, tagsSchema } = require('./productSchemas');
 
 /**
  * Store name validation
@@ -59,6 +61,36 @@ const longitudeSchema = z
   )
   .transform((val) => (typeof val === "string" ? parseFloat(val) : val));
 
+/**
+ * Page number validation
+ * Must be an integer >= 1
+ */
+const pageSchema = z
+  .union([z.number(), z.string()])
+  .refine(
+    (val) => {
+      const num = typeof val === "string" ? parseInt(val, 10) : val;
+      return Number.isInteger(num) && num >= 1;
+    },
+    "Page must be an integer >= 1"
+  )
+  .transform((val) => (typeof val === "string" ? parseInt(val, 10) : val));
+
+/**
+ * Page size validation
+ * Must be an integer between 1 and 100
+ */
+const limitSchema = z
+  .union([z.number(), z.string()])
+  .refine(
+    (val) => {
+      const num = typeof val === "string" ? parseInt(val, 10) : val;
+      return Number.isInteger(num) && num >= 1 && num <= 100;
+    },
+    "Limit must be an integer between 1 and 100"
+  )
+  .transform((val) => (typeof val === "string" ? parseInt(val, 10) : val));
+
 /**
  * Geolocation validation schema
  * Must include valid latitude and longitude
@@ -80,6 +112,71 @@ const storeImageUrlSchema = z
   .or(z.literal(""))
   .transform((val) => val || undefined);
 
+/**
+ * Time of day validation
+ * 24-hour "HH:MM"; "24:00" is allowed to mean "until midnight"
+ */
+const timeOfDaySchema = z
+  .string()
+  .regex(/^(([01]\d|2[0-3]):[0-5]\d|24:00)$/, "Time must be in 24-hour HH:MM format");
+
+/**
+ * Weekly opening interval validation
+ * day: 0 (Sunday) - 6 (Saturday); intervals can't run past midnight
+ */
+const weeklyHoursSchema = z.object({
+  day: z.number().int().min(0, "Day must be 0-6").max(6, "Day must be 0-6"),
+  open: timeOfDaySchema,
+  close: timeOfDaySchema,
+}).refine((data) => data.open < data.close, {
+  message: "Closing time must be after opening time",
+  path: ["close"],
+});
+
+/**
+ * Opening hours exception validation
+ * Either a closed day or replacement hours for a specific date
+ */
+const hoursExceptionSchema = z.object({
+  date: z
+    .string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, "Date must be in YYYY-MM-DD format")
+    .refine((date) => !isNaN(Date.parse(date)), "Date must be a valid calendar date"),
+  closed: z.boolean().optional(),
+  open: timeOfDaySchema.optional(),
+  close: timeOfDaySchema.optional(),
+  note: z
+    .string()
+    .max(150, "Note must not exceed 150 characters")
+    .transform(normalizeString)
+    .optional(),
+}).refine((data) => data.closed || (data.open && data.close && data.open < data.close), {
+  message: "Exception must either be closed or have an opening time before its closing time",
+  path: ["close"],
+});
+
+/**
+ * Opening hours validation schema
+ * Weekly hours in store-local time plus date-specific exceptions
+ */
+const openingHoursSchema = z.object({
+  timezone: z
+    .string()
+    .min(1, "Timezone is required")
+    .max(64, "Timezone must not exceed 64 characters")
+    .refine(isValidTimeZone, "Timezone must be a valid IANA timezone (e.g. America/New_York)"),
+  weekly: z.array(weeklyHoursSchema).max(28, "Too many weekly opening intervals").default([]),
+  exceptions: z.array(hoursExceptionSchema).max(100, "Too many opening hours exceptions").default([]),
+});
+
+/**
+ * Boolean query flag validation (e.g. openNow, includeExpired)
+ * Query strings only carry text, so accept "true"/"false"
+ */
+const queryBooleanSchema = z
+  .enum(["true", "false"])
+  .transform((val) => val === "true");
+
 /**
  * Create store validation schema
  * Validates store creation data
@@ -90,6 +187,9 @@ const createStoreSchema = z.object({
   latitude: latitudeSchema,
   longitude: longitudeSchema,
   image: storeImageUrlSchema,
+  hours: openingHoursSchema.optional(),
+  // default low-stock alert threshold for the store's products
+  lowStockThreshold: quantitySchema.optional(),
 });
 
 /**
@@ -102,6 +202,10 @@ const updateStoreSchema = z.object({
   latitude: latitudeSchema.optional(),
   longitude: longitudeSchema.optional(),
   image: storeImageUrlSchema,
+  // null clears the store's hours
+  hours: openingHoursSchema.nullable().optional(),
+  // null turns store-wide low-stock alerts off
+  lowStockThreshold: quantitySchema.nullable().optional(),
 }).refine(
   (data) => Object.keys(data).length > 0,
   "At least one field must be provided for update"
@@ -143,28 +247,72 @@ const searchSchema = z.object({
     )
     .transform((val) => (typeof val === "string" ? parseFloat(val) : val))
     .optional(),
-  page: z
+  openNow: queryBooleanSchema.optional(),
+  category: categorySchema.optional(),
+  // comma-separated ("vegan,gluten-free") or repeated (?tags=a&tags=b); products must have all of them
+  tags: z
+    .union([z.string(), z.array(z.string())])
+    .transform((val) =>
+      (Array.isArray(val) ? val : val.split(","))
+        .map((tag) => tag.trim())
+        .filter(Boolean)
+    )
+    .pipe(tagsSchema)
+    .optional(),
+  // expired products are hidden unless asked for
+  includeExpired: queryBooleanSchema.optional(),
+  page: pageSchema.optional(),
+  limit: limitSchema.optional(),
+});
+
+/**
+ * Nearby stores validation schema
+ * lat/lng are required; maxKm caps the search radius (default applied in controller)
+ */
+const nearbyStoresSchema = z.object({
+  lat: latitudeSchema,
+  lng: longitudeSchema,
+  maxKm: z
     .union([z.number(), z.string()])
     .refine(
       (val) => {
-        const num = typeof val === "string" ? parseInt(val, 10) : val;
-        return Number.isInteger(num) && num >= 1;
+        const num = typeof val === "string" ? parseFloat(val) : val;
+        return !isNaN(num) && num > 0 && num <= 500;
       },
-      "Page must be an integer >= 1"
+      "maxKm must be a number between 0 and 500"
     )
-    .transform((val) => (typeof val === "string" ? parseInt(val, 10) : val))
+    .transform((val) => (typeof val === "string" ? parseFloat(val) : val))
     .optional(),
-  limit: z
+  page: pageSchema.optional(),
+  limit: limitSchema.optional(),
+});
+
+/**
+ * Map viewport validation schema
+ * Bounding box corners plus the map zoom level; swLng may be greater than
+ * neLng when the viewport crosses the antimeridian
+ */
+const viewportSchema = z.object({
+  swLat: latitudeSchema,
+  swLng: longitudeSchema,
+  neLat: latitudeSchema,
+  neLng: longitudeSchema,
+  zoom: z
     .union([z.number(), z.string()])
     .refine(
       (val) => {
         const num = typeof val === "string" ? parseInt(val, 10) : val;
-        return Number.isInteger(num) && num >= 1 && num <= 100;
+        return Number.isInteger(num) && num >= 0 && num <= 22;
       },
-      "Limit must be an integer between 1 and 100"
+      "Zoom must be an integer between 0 and 22"
     )
-    .transform((val) => (typeof val === "string" ? parseInt(val, 10) : val))
-    .optional(),
+    .transform((val) => (typeof val === "string" ? parseInt(val, 10) : val)),
+}).refine((data) => data.swLat < data.neLat, {
+  message: "swLat must be less than neLat",
+  path: ["swLat"],
+}).refine((data) => data.swLng !== data.neLng, {
+  message: "swLng and neLng must differ",
+  path: ["swLng"],
 });
 
 /**
@@ -180,28 +328,9 @@ const storeIdSchema = z.object({
  * Validates pagination and sorting parameters
  */
 const getStoresSchema = z.object({
-  page: z
-    .union([z.number(), z.string()])
-    .refine(
-      (val) => {
-        const num = typeof val === "string" ? parseInt(val, 10) : val;
-        return Number.isInteger(num) && num >= 1;
-      },
-      "Page must be an integer >= 1"
-    )
-    .transform((val) => (typeof val === "string" ? parseInt(val, 10) : val))
-    .optional(),
-  limit: z
-    .union([z.number(), z.string()])
-    .refine(
-      (val) => {
-        const num = typeof val === "string" ? parseInt(val, 10) : val;
-        return Number.isInteger(num) && num >= 1 && num <= 100;
-      },
-      "Limit must be an integer between 1 and 100"
-    )
-    .transform((val) => (typeof val === "string" ? parseInt(val, 10) : val))
-    .optional(),
+  page: pageSchema.optional(),
+  limit: limitSchema.optional(),
+  openNow: queryBooleanSchema.optional(),
   sort: z
     .string()
     .refine(
@@ -215,6 +344,8 @@ module.exports = {
   createStoreSchema,
   updateStoreSchema,
   searchSchema,
+  nearbyStoresSchema,
+  viewportSchema,
   storeIdSchema,
   getStoresSchema,
 };
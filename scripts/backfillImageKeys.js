@@ -0,0 +1,54 @@
+// Set imageKey on stores and products saved before it existed:
+//   npm run backfill-image-keys
+// Run once after deploying, before the image sweep next runs; the sweep only
+// sees an image as used through imageKey.
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+const mongoose = require('mongoose');
+const Store = require('../models/store');
+const Product = require('../models/product');
+const { getImageKey } = require('../utils/imageKey');
+
+const BATCH_SIZE = 500;
+
+const backfill = async (Model) => {
+  const cursor = Model.find({ image: { $nin: [null, ''] }, imageKey: null })
+    .select('_id image')
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+
+  let updated = 0;
+  let ops = [];
+  const flush = async () => {
+    if (!ops.length) return;
+    await Model.bulkWrite(ops, { ordered: false });
+    updated += ops.length;
+    ops = [];
+  };
+
+  for await (const doc of cursor) {
+    ops.push({ updateOne: { filter: { _id: doc._id }, update: { imageKey: getImageKey(doc.image) } } });
+    if (ops.length === BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return updated;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URL);
+
+  try {
+    const stores = await backfill(Store);
+    const products = await backfill(Product);
+    console.log(`imageKey set on ${stores} stores and ${products} products`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.log('error backfilling image keys', err);
+  process.exitCode = 1;
+});
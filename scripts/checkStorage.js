@@ -0,0 +1,38 @@
+// Round-trip a test object through the configured storage driver:
+//   STORAGE_DRIVER=s3 S3_ENDPOINT=http://localhost:9000 S3_FORCE_PATH_STYLE=true \
+//   S3_BUCKET=uploads S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin \
+//   npm run check-storage
+// The bucket must exist and allow public reads.
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+const axios = require('axios');
+const { storage } = require('../storage');
+
+const run = async () => {
+  const key = `storage-check-${Date.now()}.txt`;
+  const body = Buffer.from('storage check');
+
+  await storage.put(key, body, { contentType: 'text/plain' });
+  console.log(`[${storage.name}] wrote ${key}`);
+
+  try {
+    // The local driver is only served while the app runs, so there's nothing to fetch
+    if (storage.name !== 'local') {
+      const url = storage.getUrl(key);
+      const { data } = await axios.get(url, { responseType: 'text' });
+      if (data !== body.toString()) {
+        throw new Error(`unexpected content at ${url}`);
+      }
+      console.log(`[${storage.name}] read back ${url}`);
+    }
+  } finally {
+    await storage.delete(key);
+    console.log(`[${storage.name}] deleted ${key}`);
+  }
+};
+
+run().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});
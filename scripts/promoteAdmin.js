@@ -0,0 +1,36 @@
+// Bootstrap the first admin: node scripts/promoteAdmin.js user@example.com
+// Further role changes go through PUT /api/admin/users/:id/role
+if (process.env.NODE_ENV !== 'production') {
+  require('dotenv').config();
+}
+const mongoose = require('mongoose');
+const User = require('../models/user');
+
+const run = async () => {
+  const email = (process.argv[2] || '').toLowerCase().trim();
+  if (!email) {
+    console.log('usage: npm run promote-admin -- <email>');
+    process.exitCode = 1;
+    return;
+  }
+
+  await mongoose.connect(process.env.MONGO_URL);
+
+  try {
+    const user = await User.findOneAndUpdate({ email }, { role: 'admin' }, { new: true });
+    if (!user) {
+      console.log(`no user with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log(`${user.email} is now an admin`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((err) => {
+  console.log('error promoting user', err);
+  process.exitCode = 1;
+});
@@ -2,7 +2,6 @@ if (process.env.NODE_ENV !== 'production') {
   require('dotenv').config();
 }
 const express = require('express');
-const path = require('path');
 const mongoose = require('mongoose');
 const cookieParser = require('cookie-parser');
 
@@ -11,17 +10,31 @@ const productRoute = require('./routes/productRoute');
 const storeRoute = require('./routes/storeRoute');
 const searchRoute = require('./routes/searchRoute');
 const authRoute = require('./routes/authRoute');
+const adminRoute = require('./routes/adminRoute');
 
 const errorMiddleware = require('./middleware/errorMiddleware');
+const { startExpirySweep } = require('./jobs/expirySweep');
+const { startImageSweep } = require('./jobs/imageSweep');
 const { csrfErrorHandler } = require('./middleware/csrfMiddleware');
+const { storage } = require('./storage');
+const { supportsTransactions } = require('./utils/transactions');
 const cors = require('cors');
 
 const app = express();
 
 const PORT = process.env.PORT || 3000;
+// MongoDB should run as a replica set (a single node is enough: mongod
+// --replSet rs0, then rs.initiate()). Quantity changes and account deletion
+// use transactions; a standalone mongod has none, so they fall back to
+// separate writes (see utils/transactions)
 const MONGO_URL = process.env.MONGO_URL;
 const FRONTEND = process.env.FRONTEND;
 
+// Two-factor secrets are encrypted with this key; without it 2FA can't be set up or used
+if (!process.env.TOTP_ENCRYPTION_KEY) {
+  console.warn('TOTP_ENCRYPTION_KEY is not set: two-factor authentication will not work');
+}
+
 const corsOption = {
     origin: FRONTEND,
     optionsSuccessStatus: 200,
@@ -35,14 +48,15 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 app.use(cookieParser()); // Parse cookies
 
-// Serve uploaded images
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve uploaded images (only when the storage driver keeps them on this instance)
+storage.mount(app);
 
 // routes
 app.use('/api/products', productRoute);
 app.use('/api/stores', storeRoute);
 app.use('/api/search', searchRoute);
 app.use('/api/auth', authRoute);
+app.use('/api/admin', adminRoute);
 app.use('/api/images', require('./routes/imageRoute'));
 
 app.get('/', (req, res) => {
@@ -64,8 +78,14 @@ mongoose.connect(MONGO_URL, {
   minPoolSize: 5,
   maxIdleTimeMS: 30000,
 })
-.then(() => {
+.then(async () => {
     console.log('connected to MongoDB');
+    if (!(await supportsTransactions())) {
+      console.warn('MongoDB is not a replica set: multi-document writes (inventory ledger, account deletion) run without transactions');
+    }
+    // background jobs need the database connection
+    startExpirySweep();
+    startImageSweep();
     app.listen(PORT, () => {
         console.log(`node_api is running on port ${PORT}`);
 });
@@ -0,0 +1,51 @@
+/**
+ * Storage for uploaded images
+ * STORAGE_DRIVER picks the backend:
+ *  - local (default): files in ./uploads (or UPLOADS_DIR), served under /uploads
+ *  - s3: S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_FORCE_PATH_STYLE,
+ *        S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PUBLIC_URL.
+ *        For MinIO, set S3_ENDPOINT (e.g. http://localhost:9000) and
+ *        S3_FORCE_PATH_STYLE=true.
+ *
+ * Every driver has the same interface:
+ *  - put(key, body, { contentType }) -> Promise
+ *  - delete(key) -> Promise (missing keys are not an error)
+ *  - getUrl(key, req) -> public URL of the object
+ *  - mount(app) -> serve the files from this app, if the driver needs to
+ */
+
+const path = require('path');
+const { createLocalDriver } = require('./localDriver');
+const { createS3Driver } = require('./s3Driver');
+
+function createStorage(env = process.env) {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  switch (driver) {
+    case 'local':
+      return createLocalDriver({
+        dir: env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'),
+        publicUrl: env.UPLOADS_PUBLIC_URL,
+      });
+    case 's3':
+      return createS3Driver({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION,
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+        publicUrl: env.S3_PUBLIC_URL,
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected local or s3)`);
+  }
+}
+
+// The active driver, chosen once at startup
+const storage = createStorage();
+
+module.exports = {
+  storage,
+  createStorage,
+};
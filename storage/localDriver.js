@@ -0,0 +1,55 @@
+/**
+ * Local disk storage driver
+ * Files live in one directory and are served by this app under /uploads.
+ * Only suitable for a single instance: other instances can't see the files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const PUBLIC_PATH = '/uploads';
+
+/**
+ * @param {Object} options - { dir, publicUrl }; publicUrl (optional) is the
+ *   base URL files are served from, otherwise the request's own host is used
+ * @returns {Object} - Storage driver
+ */
+function createLocalDriver({ dir, publicUrl } = {}) {
+  const resolvePath = (key) => {
+    // Keys are generated server-side, but never let one escape the directory
+    const filePath = path.resolve(dir, key);
+    if (path.dirname(filePath) !== path.resolve(dir)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, body) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(resolvePath(key), body);
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolvePath(key), { force: true });
+    },
+
+    getUrl(key, req) {
+      const base = publicUrl || `${req.protocol}://${req.get('host')}${PUBLIC_PATH}`;
+      return `${base.replace(/\/$/, '')}/${key}`;
+    },
+
+    // Serve the directory under /uploads
+    // nosniff: browsers must trust the extension-derived Content-Type, never guess
+    mount(app) {
+      app.use(PUBLIC_PATH, express.static(dir, {
+        setHeaders: (res) => res.set('X-Content-Type-Options', 'nosniff'),
+      }));
+    },
+  };
+}
+
+module.exports = { createLocalDriver };
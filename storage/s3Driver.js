@@ -0,0 +1,68 @@
+/**
+ * S3-compatible storage driver
+ * Works with AWS S3 and with self-hosted stand-ins such as MinIO (set an
+ * endpoint and path-style addressing). Objects are served by the bucket or a
+ * CDN in front of it, not by this app, so every instance sees the same files.
+ */
+
+const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+// Uploaded keys are random and never rewritten, so they can be cached forever
+const CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+/**
+ * @param {Object} options - { bucket, region, endpoint, accessKeyId,
+ *   secretAccessKey, forcePathStyle, publicUrl }
+ * @returns {Object} - Storage driver
+ */
+function createS3Driver({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, publicUrl }) {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is not set in environment variables');
+  }
+
+  const client = new S3Client({
+    region: region || 'us-east-1',
+    ...(endpoint && { endpoint }),
+    forcePathStyle: Boolean(forcePathStyle),
+    // Without explicit keys the SDK's default chain (env, IAM role) is used
+    ...(accessKeyId && secretAccessKey && { credentials: { accessKeyId, secretAccessKey } }),
+  });
+
+  // Where objects are publicly readable from
+  const baseUrl = (() => {
+    if (publicUrl) return publicUrl.replace(/\/$/, '');
+    if (endpoint && forcePathStyle) return `${endpoint.replace(/\/$/, '')}/${bucket}`;
+    if (endpoint) {
+      const url = new URL(endpoint);
+      return `${url.protocol}//${bucket}.${url.host}`;
+    }
+    return `https://${bucket}.s3.${region || 'us-east-1'}.amazonaws.com`;
+  })();
+
+  return {
+    name: 's3',
+
+    async put(key, body, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        CacheControl: CACHE_CONTROL,
+      }));
+    },
+
+    async delete(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getUrl(key) {
+      return `${baseUrl}/${key}`;
+    },
+
+    // Files are served by the bucket; nothing to mount
+    mount() {},
+  };
+}
+
+module.exports = { createS3Driver };
@@ -0,0 +1,131 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-access-secret';
+
+const { generateApiKey, isApiKey, getApiKeyPrefix, matchesApiKey } = require('../utils/apiKeys');
+const { hashToken } = require('../utils/tokens');
+const { allowApiKey } = require('../middleware/apiKeyMiddleware');
+const ApiKey = require('../models/apiKey');
+const User = require('../models/user');
+
+describe('API key helpers', () => {
+  it('generates pk_<8 hex>_<secret> keys with a matching prefix and hash', () => {
+    const { key, prefix, keyHash } = generateApiKey();
+
+    assert.match(key, /^pk_[0-9a-f]{8}_[A-Za-z0-9_-]{43}$/);
+    assert.equal(getApiKeyPrefix(key), prefix);
+    assert.equal(keyHash, hashToken(key));
+    assert.ok(!keyHash.includes(key));
+  });
+
+  it('generates a different key every time', () => {
+    assert.notEqual(generateApiKey().key, generateApiKey().key);
+  });
+
+  it('tells API keys apart from JWTs', () => {
+    assert.equal(isApiKey(generateApiKey().key), true);
+    assert.equal(isApiKey('eyJhbGciOiJIUzI1NiJ9.e30.x'), false);
+    assert.equal(isApiKey(null), false);
+  });
+
+  it('only extracts a prefix from well-formed keys', () => {
+    const { key } = generateApiKey();
+
+    assert.equal(getApiKeyPrefix(`${key}x`), null);
+    assert.equal(getApiKeyPrefix(key.slice(0, -1)), null);
+    assert.equal(getApiKeyPrefix('pk_XYZ12345_' + 'a'.repeat(43)), null);
+  });
+
+  it('matches a key only against its own hash', () => {
+    const first = generateApiKey();
+    const second = generateApiKey();
+
+    assert.equal(matchesApiKey(first.key, first.keyHash), true);
+    assert.equal(matchesApiKey(first.key, second.keyHash), false);
+    assert.equal(matchesApiKey(first.key, 'not-a-hash'), false);
+  });
+});
+
+describe('allowApiKey', () => {
+  const [authenticate] = allowApiKey('products:write');
+  const { key, prefix, keyHash } = generateApiKey();
+  const ownerId = new mongoose.Types.ObjectId();
+
+  let storedKey;
+  let owner;
+
+  // Chainable stand-ins for the two lookups the middleware makes
+  beforeEach(() => {
+    storedKey = {
+      _id: new mongoose.Types.ObjectId(),
+      userId: ownerId,
+      prefix,
+      keyHash,
+      scopes: ['products:write'],
+      revokedAt: null,
+      expiresAt: null,
+    };
+    owner = { _id: ownerId, role: 'store_manager', emailVerified: true };
+
+    mock.method(ApiKey, 'findOne', (filter) => ({
+      select: async () => (filter.prefix === storedKey.prefix ? storedKey : null),
+    }));
+    mock.method(ApiKey, 'updateOne', () => Promise.resolve({}));
+    mock.method(User, 'findById', () => ({ select: () => ({ lean: async () => owner }) }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const run = (token) =>
+    new Promise((resolve) => {
+      const req = {
+        ip: '203.0.113.7',
+        cookies: {},
+        get: (name) => (name === 'authorization' ? `Bearer ${token}` : undefined),
+      };
+      authenticate(req, {}, (err) => resolve({ err, req }));
+    });
+
+  it('authenticates a valid key as its owner', async () => {
+    const { err, req } = await run(key);
+
+    assert.equal(err, undefined);
+    assert.equal(req.user.userId, String(ownerId));
+    assert.equal(req.user.role, 'store_manager');
+    assert.equal(req.authMethod, 'api_key');
+    assert.deepEqual(req.apiKey.scopes, ['products:write']);
+  });
+
+  it('rejects an unknown or altered key', async () => {
+    const altered = key.slice(0, -1) + (key.endsWith('A') ? 'B' : 'A');
+
+    assert.equal((await run(altered)).err.code, 'AUTH_004');
+    assert.equal((await run(generateApiKey().key)).err.code, 'AUTH_004');
+  });
+
+  it('rejects a revoked or expired key', async () => {
+    storedKey.revokedAt = new Date();
+    assert.equal((await run(key)).err.code, 'AUTH_003');
+
+    storedKey.revokedAt = null;
+    storedKey.expiresAt = new Date(Date.now() - 1000);
+    assert.equal((await run(key)).err.code, 'AUTH_003');
+  });
+
+  it('rejects a key without the route scope', async () => {
+    storedKey.scopes = ['products:read'];
+    const { err } = await run(key);
+
+    assert.equal(err.statusCode, 403);
+    assert.match(err.message, /products:write/);
+  });
+
+  it('rejects a key whose owner no longer exists', async () => {
+    owner = null;
+    assert.equal((await run(key)).err.code, 'AUTH_004');
+  });
+});
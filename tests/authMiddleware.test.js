@@ -0,0 +1,62 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-access-secret';
+
+const authMiddleware = require('../middleware/authMiddleware');
+const User = require('../models/user');
+
+const USER_ID = '507f1f77bcf86cd799439011';
+
+const runAuth = (token) =>
+  new Promise((resolve) => {
+    const res = { status(code) { this.statusCode = code; return this; } };
+    const req = { cookies: { accessToken: token }, get: () => undefined };
+    authMiddleware(req, res, (err) => resolve({ err, req, res }));
+  });
+
+describe('authMiddleware', () => {
+  let user;
+
+  beforeEach(() => {
+    user = { role: 'user', emailVerified: true };
+    mock.method(User, 'findById', () => ({ select: () => ({ lean: async () => user }) }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('attaches the user and session of a valid access token', async () => {
+    const { err, req } = await runAuth(jwt.sign({ userId: USER_ID, sid: 'abc' }, process.env.JWT_SECRET));
+
+    assert.equal(err, undefined);
+    assert.equal(req.user.userId, USER_ID);
+    assert.equal(req.user.sessionId, 'abc');
+    assert.equal(req.authMethod, 'cookie');
+  });
+
+  it('rejects access tokens of a locked account', async () => {
+    user.accountLockedUntil = new Date('9999-12-31T00:00:00Z');
+    const { err, res } = await runAuth(jwt.sign({ userId: USER_ID, sid: 'abc' }, process.env.JWT_SECRET));
+
+    assert.equal(res.statusCode, 401);
+    assert.match(err.message, /locked/);
+  });
+
+  it('accepts them again once the lock has passed', async () => {
+    user.accountLockedUntil = new Date(Date.now() - 1000);
+    const { err } = await runAuth(jwt.sign({ userId: USER_ID, sid: 'abc' }, process.env.JWT_SECRET));
+
+    assert.equal(err, undefined);
+  });
+
+  it('rejects tokens issued before the password changed', async () => {
+    const token = jwt.sign({ userId: USER_ID, sid: 'abc', iat: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+    user.passwordChangedAt = new Date();
+    const { err } = await runAuth(token);
+
+    assert.match(err.message, /password recently changed/);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const { detectImageType, detectImageFileType } = require('../utils/fileSignature');
+
+// Real files from an encoder rather than hand-written headers
+const encode = (format) =>
+  sharp({ create: { width: 4, height: 4, channels: 3, background: { r: 200, g: 80, b: 40 } } })
+    .toFormat(format)
+    .toBuffer();
+
+describe('detectImageType', () => {
+  const expected = {
+    jpeg: { mime: 'image/jpeg', ext: '.jpg' },
+    png: { mime: 'image/png', ext: '.png' },
+    gif: { mime: 'image/gif', ext: '.gif' },
+    webp: { mime: 'image/webp', ext: '.webp' },
+  };
+
+  for (const [format, type] of Object.entries(expected)) {
+    it(`recognises ${format}`, async () => {
+      assert.deepEqual(detectImageType(await encode(format)), type);
+    });
+  }
+
+  it('rejects content that is not a supported image', () => {
+    const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+    const html = Buffer.from('<!DOCTYPE html><html></html>');
+    const riffWav = Buffer.from('RIFF\x24\x00\x00\x00WAVEfmt ', 'latin1');
+
+    assert.equal(detectImageType(svg), null);
+    assert.equal(detectImageType(html), null);
+    assert.equal(detectImageType(riffWav), null);
+  });
+
+  it('rejects buffers too short to hold a signature', async () => {
+    const png = await encode('png');
+
+    assert.equal(detectImageType(png.subarray(0, 11)), null);
+    assert.equal(detectImageType(Buffer.alloc(0)), null);
+    assert.equal(detectImageType(undefined), null);
+  });
+});
+
+describe('detectImageFileType', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'file-signature-'));
+  });
+
+  after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it('reads the type from the content, whatever the file is called', async () => {
+    const file = path.join(dir, 'photo.png');
+    await fs.promises.writeFile(file, await encode('jpeg'));
+
+    assert.deepEqual(await detectImageFileType(file), { mime: 'image/jpeg', ext: '.jpg' });
+  });
+
+  it('rejects a disguised or truncated file', async () => {
+    const script = path.join(dir, 'avatar.jpg');
+    const tiny = path.join(dir, 'tiny');
+    await fs.promises.writeFile(script, '#!/bin/sh\necho hi\n');
+    await fs.promises.writeFile(tiny, Buffer.from([0xff, 0xd8, 0xff]));
+
+    assert.equal(await detectImageFileType(script), null);
+    assert.equal(await detectImageFileType(tiny), null);
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildBoundingBoxFilter, getClusterCellSize } = require('../utils/geo');
+
+const polygons = (filter) => (filter.$or || [filter]).map((clause) => clause.geo.$geoWithin.$geometry.coordinates[0]);
+const lngSpan = (ring) => [Math.min(...ring.map(([lng]) => lng)), Math.max(...ring.map(([lng]) => lng))];
+
+describe('buildBoundingBoxFilter', () => {
+  it('builds one closed polygon for a small box', () => {
+    const [ring] = polygons(buildBoundingBoxFilter({ swLat: 40, swLng: -74, neLat: 41, neLng: -73 }));
+
+    assert.deepEqual(ring[0], ring[ring.length - 1]);
+    assert.deepEqual(lngSpan(ring), [-74, -73]);
+  });
+
+  it('splits wide boxes into slices under a hemisphere', () => {
+    const rings = polygons(buildBoundingBoxFilter({ swLat: -10, swLng: -180, neLat: 10, neLng: 180 }));
+
+    assert.equal(rings.length, 4);
+    for (const ring of rings) {
+      const [west, east] = lngSpan(ring);
+      assert.ok(east - west <= 90);
+    }
+  });
+
+  it('splits boxes that cross the antimeridian at 180', () => {
+    const rings = polygons(buildBoundingBoxFilter({ swLat: -20, swLng: 170, neLat: -10, neLng: -170 }));
+
+    assert.deepEqual(rings.map(lngSpan), [[170, 180], [-180, -170]]);
+  });
+
+  it('returns null when nothing can match', () => {
+    // Entirely beyond the Mercator limit
+    assert.equal(buildBoundingBoxFilter({ swLat: 86, swLng: 0, neLat: 89, neLng: 10 }), null);
+    // West 180 and east -180 are the same meridian: no width
+    assert.equal(buildBoundingBoxFilter({ swLat: 0, swLng: 180, neLat: 10, neLng: -180 }), null);
+  });
+});
+
+describe('getClusterCellSize', () => {
+  it('halves with every zoom level', () => {
+    assert.equal(getClusterCellSize(0), 90);
+    assert.equal(getClusterCellSize(3), getClusterCellSize(2) / 2);
+  });
+});
@@ -0,0 +1,189 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { runImageSweep } = require('../jobs/imageSweep');
+const { deleteImage } = require('../utils/images');
+const { getImageKey } = require('../utils/imageKey');
+const { storage } = require('../storage');
+const logger = require('../utils/logger');
+const Image = require('../models/image');
+const Store = require('../models/store');
+const Product = require('../models/product');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// In-memory stand-ins for the collections the sweep reads and writes
+let images;
+let stores;
+let products;
+let deletedKeys;
+let errors;
+
+const makeImage = (name, unreferencedSince) => ({
+  _id: new mongoose.Types.ObjectId(),
+  keys: [`${name}-thumb.jpg`, `${name}-thumb.webp`],
+  unreferencedSince,
+  references: [],
+});
+
+const findByImageKey = (docs) => (filter) => ({
+  select: () => ({
+    lean: async () => docs
+      .filter((doc) => filter.imageKey.$in.includes(getImageKey(doc.image)))
+      .map((doc) => ({ _id: doc._id, imageKey: getImageKey(doc.image) })),
+  }),
+});
+
+const isOrphan = (filter) => (image) =>
+  image.unreferencedSince !== null && image.unreferencedSince <= filter.unreferencedSince.$lte;
+
+beforeEach(() => {
+  images = [];
+  stores = [];
+  products = [];
+  deletedKeys = [];
+  errors = [];
+
+  mock.method(Image, 'find', (filter) => {
+    // deleteOrphanedImages
+    if (filter) {
+      return { limit: async () => images.filter(isOrphan(filter)).map((image) => ({ ...image })) };
+    }
+    // refreshAllReferences
+    return { select: () => ({ lean: () => ({ cursor: () => images.map((image) => ({ ...image })) }) }) };
+  });
+
+  mock.method(Image, 'bulkWrite', async (ops) => {
+    for (const { updateOne: { filter, update } } of ops) {
+      const image = images.find((i) => String(i._id) === String(filter._id)
+        && (!('unreferencedSince' in filter) || String(i.unreferencedSince) === String(filter.unreferencedSince)));
+      if (image) Object.assign(image, update);
+    }
+  });
+
+  mock.method(Image, 'deleteOne', async (filter) => {
+    const index = images.findIndex((i) => String(i._id) === String(filter._id)
+      && (!('unreferencedSince' in filter) || String(i.unreferencedSince) === String(filter.unreferencedSince)));
+    if (index === -1) return { deletedCount: 0 };
+    images.splice(index, 1);
+    return { deletedCount: 1 };
+  });
+
+  mock.method(Store, 'find', findByImageKey(stores));
+  mock.method(Product, 'find', findByImageKey(products));
+  mock.method(storage, 'delete', async (key) => {
+    deletedKeys.push(key);
+  });
+  mock.method(logger, 'error', (event, meta) => errors.push({ event, meta }));
+  mock.method(logger, 'info', () => {});
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('runImageSweep', () => {
+  it('records references and keeps images in use', async () => {
+    const image = makeImage('used', new Date(Date.now() - 48 * HOUR_MS));
+    images.push(image);
+    const store = { _id: new mongoose.Types.ObjectId(), image: 'https://old-host.example.com/uploads/used-thumb.webp' };
+    stores.push(store);
+
+    await runImageSweep();
+
+    assert.deepEqual(errors, []);
+    assert.equal(images.length, 1);
+    assert.equal(images[0].unreferencedSince, null);
+    assert.deepEqual(images[0].references, [{ kind: 'Store', id: store._id }]);
+    assert.deepEqual(deletedKeys, []);
+  });
+
+  it('matches products by storage key whatever host the URL has', async () => {
+    images.push(makeImage('product', null));
+    products.push({ _id: new mongoose.Types.ObjectId(), image: 'http://192.168.1.5:3000/uploads/product-thumb.jpg?v=2' });
+
+    await runImageSweep();
+
+    assert.equal(images[0].references[0].kind, 'Product');
+    assert.equal(images[0].unreferencedSince, null);
+  });
+
+  it('starts the grace period for a newly unused image without deleting it', async () => {
+    images.push(makeImage('dropped', null));
+
+    await runImageSweep();
+
+    assert.equal(images.length, 1);
+    assert.ok(images[0].unreferencedSince instanceof Date);
+    assert.deepEqual(deletedKeys, []);
+  });
+
+  it('keeps an unused image inside the grace period', async () => {
+    const since = new Date(Date.now() - 2 * HOUR_MS);
+    images.push(makeImage('recent', since));
+
+    await runImageSweep();
+
+    assert.equal(images.length, 1);
+    assert.equal(images[0].unreferencedSince, since);
+  });
+
+  it('keeps an image that was claimed again while the sweep was running', async () => {
+    const image = makeImage('reclaimed', new Date(Date.now() - 48 * HOUR_MS));
+    images.push(image);
+
+    // A re-upload restarts the grace period after the sweep read the image
+    const claimedAt = new Date();
+    Store.find.mock.mockImplementationOnce((filter) => {
+      image.unreferencedSince = claimedAt;
+      return findByImageKey(stores)(filter);
+    });
+
+    await runImageSweep();
+
+    assert.deepEqual(errors, []);
+    assert.equal(images.length, 1);
+    assert.equal(images[0].unreferencedSince, claimedAt);
+    assert.deepEqual(deletedKeys, []);
+  });
+
+  it('deletes the record and every file of an image unused past the grace period', async () => {
+    const kept = makeImage('kept', null);
+    images.push(makeImage('stale', new Date(Date.now() - 48 * HOUR_MS)), kept);
+    stores.push({ _id: new mongoose.Types.ObjectId(), image: 'https://cdn.example.com/kept-thumb.jpg' });
+
+    await runImageSweep();
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(images.map((i) => i._id), [kept._id]);
+    assert.deepEqual(deletedKeys.sort(), ['stale-thumb.jpg', 'stale-thumb.webp']);
+  });
+});
+
+describe('deleteImage', () => {
+  it('leaves the files alone when the record no longer matches the guard', async () => {
+    const image = makeImage('claimed', new Date());
+    images.push(image);
+
+    const deleted = await deleteImage(image, { unreferencedSince: new Date(0) });
+
+    assert.equal(deleted, false);
+    assert.equal(images.length, 1);
+    assert.deepEqual(deletedKeys, []);
+  });
+
+  it('logs files it could not delete once the record is gone', async () => {
+    const image = makeImage('stuck', new Date());
+    images.push(image);
+    storage.delete.mock.mockImplementation(async (key) => {
+      if (key.endsWith('.webp')) throw new Error('bucket unavailable');
+    });
+
+    const deleted = await deleteImage(image);
+
+    assert.equal(deleted, true);
+    assert.equal(images.length, 0);
+    assert.deepEqual(errors, [{ event: 'IMAGE_FILE_DELETE_FAILED', meta: { imageId: String(image._id), keys: ['stuck-thumb.webp'] } }]);
+  });
+});
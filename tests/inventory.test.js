@@ -0,0 +1,299 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { adjustQuantity, setQuantity, createProductWithStock, getLedgerBalance } = require('../utils/inventoryLedger');
+const { takeProduct, restockProduct } = require('../controllers/inventoryController');
+const Product = require('../models/product');
+const InventoryTransaction = require('../models/inventoryTransaction');
+const Store = require('../models/store');
+
+// In-memory stand-ins for the product and ledger collections. Every call
+// yields once before it runs, so concurrent callers interleave the way they
+// would against the database, while each single write stays atomic.
+let products;
+let ledger;
+let sessions;
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+const query = (run) => {
+  const q = {
+    session: (session) => { sessions.push(session); return q; },
+    select: () => q,
+    lean: () => q,
+    then: (resolve, reject) => tick().then(run).then(resolve, reject),
+  };
+  return q;
+};
+
+const matchesQuantity = (product, condition) => {
+  if (condition === undefined) return true;
+  if (typeof condition === 'object') return product.quantity >= condition.$gte;
+  return product.quantity === condition;
+};
+
+const findProduct = (id) => products.find((p) => String(p._id) === String(id));
+
+const addProduct = (fields) => {
+  const product = { _id: new mongoose.Types.ObjectId(), storeId: new mongoose.Types.ObjectId(), name: 'Rice', ...fields };
+  products.push(product);
+  return product;
+};
+
+beforeEach(() => {
+  products = [];
+  ledger = [];
+  sessions = [];
+
+  mongoose.connection.db = { admin: () => ({ command: async () => ({ setName: 'rs0' }) }) };
+  mock.method(mongoose, 'startSession', async () => ({
+    withTransaction: async (fn) => fn(),
+    endSession: async () => {},
+  }));
+
+  mock.method(Product, 'findById', (id) => query(() => {
+    const product = findProduct(id);
+    return product ? { ...product } : null;
+  }));
+
+  mock.method(Product, 'findOneAndUpdate', (filter, update, options = {}) => {
+    sessions.push(options.session);
+    return query(() => {
+      const product = findProduct(filter._id);
+      if (!product || !matchesQuantity(product, filter.quantity)) return null;
+      if (update.$inc) product.quantity += update.$inc.quantity;
+      if (update.$set) Object.assign(product, update.$set);
+      return { ...product };
+    });
+  });
+
+  mock.method(Product, 'create', async (input, options = {}) => {
+    sessions.push(options.session);
+    const created = [input].flat().map((fields) => addProduct({ ...fields }));
+    return Array.isArray(input) ? created.map((p) => ({ ...p })) : { ...created[0] };
+  });
+
+  mock.method(InventoryTransaction, 'exists', (filter) => query(() =>
+    ledger.find((row) => String(row.productId) === String(filter.productId)) || null));
+
+  mock.method(InventoryTransaction, 'create', async (input, options = {}) => {
+    sessions.push(options.session);
+    await tick();
+    const rows = [input].flat().map((row) => ({ _id: new mongoose.Types.ObjectId(), ...row }));
+    ledger.push(...rows);
+    return Array.isArray(input) ? rows : rows[0];
+  });
+
+  mock.method(InventoryTransaction, 'aggregate', async ([{ $match }]) => [{
+    balance: ledger
+      .filter((row) => String(row.productId) === String($match.productId))
+      .reduce((sum, row) => sum + row.delta, 0),
+  }]);
+
+  // No store means no stock alerts
+  mock.method(Store, 'findById', () => query(() => null));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('adjustQuantity', () => {
+  it('applies the change and records it in the ledger', async () => {
+    const product = addProduct({ quantity: 5 });
+    ledger.push({ productId: product._id, delta: 5 });
+
+    const updated = await adjustQuantity(product._id, -2, { reason: 'taken' });
+
+    assert.equal(updated.quantity, 3);
+    assert.equal(findProduct(product._id).quantity, 3);
+    assert.deepEqual(ledger.slice(1).map(({ delta, quantityAfter, reason }) => ({ delta, quantityAfter, reason })), [
+      { delta: -2, quantityAfter: 3, reason: 'taken' },
+    ]);
+    assert.equal(await getLedgerBalance(product._id), 3);
+  });
+
+  it('records an opening balance for a product with no ledger history', async () => {
+    const product = addProduct({ quantity: 4 });
+
+    await adjustQuantity(product._id, 1, { reason: 'restock' });
+
+    assert.deepEqual(ledger.map(({ delta, quantityAfter, reason, note }) => ({ delta, quantityAfter, reason, note })), [
+      { delta: 4, quantityAfter: 4, reason: 'correction', note: 'Opening balance' },
+      { delta: 1, quantityAfter: 5, reason: 'restock', note: undefined },
+    ]);
+    assert.equal(await getLedgerBalance(product._id), 5);
+  });
+
+  it('returns null and records nothing when there is not enough stock', async () => {
+    const product = addProduct({ quantity: 2 });
+
+    assert.equal(await adjustQuantity(product._id, -3, { reason: 'taken' }), null);
+    assert.equal(findProduct(product._id).quantity, 2);
+    assert.equal(ledger.length, 0);
+  });
+
+  it('never goes below zero when the last item is taken concurrently', async () => {
+    const product = addProduct({ quantity: 1 });
+    ledger.push({ productId: product._id, delta: 1 });
+
+    const results = await Promise.all([
+      adjustQuantity(product._id, -1, { reason: 'taken' }),
+      adjustQuantity(product._id, -1, { reason: 'taken' }),
+    ]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(findProduct(product._id).quantity, 0);
+    assert.equal(await getLedgerBalance(product._id), 0);
+  });
+});
+
+describe('setQuantity', () => {
+  let product;
+
+  beforeEach(() => {
+    product = addProduct({ quantity: 5 });
+    ledger.push({ productId: product._id, delta: 5 });
+  });
+
+  // Let a visitor take one item between setQuantity's read and its write
+  const takeAfterReads = (times) => {
+    let remaining = times;
+    Product.findById.mock.mockImplementation((id) => query(() => {
+      const current = { ...findProduct(id) };
+      if (remaining-- > 0) {
+        findProduct(id).quantity -= 1;
+        ledger.push({ productId: product._id, delta: -1 });
+      }
+      return current;
+    }));
+  };
+
+  it('records the difference to the current quantity', async () => {
+    const updated = await setQuantity(product._id, 8, { reason: 'correction' });
+
+    assert.equal(updated.quantity, 8);
+    assert.equal(ledger.at(-1).delta, 3);
+    assert.equal(await getLedgerBalance(product._id), 8);
+  });
+
+  it('writes nothing when the quantity is unchanged', async () => {
+    await setQuantity(product._id, 5, { reason: 'correction' });
+
+    assert.equal(ledger.length, 1);
+  });
+
+  it('retries instead of overwriting a concurrent change', async () => {
+    takeAfterReads(1);
+
+    const updated = await setQuantity(product._id, 10, { reason: 'correction' });
+
+    assert.equal(updated.quantity, 10);
+    // 5 - 1 taken meanwhile, so the owner's edit adds 6
+    assert.equal(ledger.at(-1).delta, 6);
+    assert.equal(await getLedgerBalance(product._id), 10);
+  });
+
+  it('gives up with a conflict when the quantity keeps changing', async () => {
+    takeAfterReads(Infinity);
+
+    await assert.rejects(setQuantity(product._id, 10, { reason: 'correction' }), (err) => {
+      assert.equal(err.statusCode, 409);
+      assert.equal(err.code, 'CONFLICT_003');
+      return true;
+    });
+    assert.equal(findProduct(product._id).quantity, 2);
+    assert.equal(await getLedgerBalance(product._id), 2);
+  });
+});
+
+describe('transactions', () => {
+  it('applies a quantity change and its ledger rows in one transaction', async () => {
+    const product = addProduct({ quantity: 3 });
+
+    await adjustQuantity(product._id, -1, { reason: 'taken' });
+
+    // Product update, opening balance lookup and both ledger rows
+    assert.equal(sessions.length, 4);
+    assert.ok(sessions.every((session) => session && session === sessions[0]));
+  });
+
+  it('creates a product and its initial stock row in one transaction', async () => {
+    const created = await createProductWithStock({ name: 'Beans', quantity: 6, storeId: new mongoose.Types.ObjectId() });
+
+    assert.equal(findProduct(created._id).quantity, 6);
+    assert.deepEqual(ledger.map(({ delta, reason }) => ({ delta, reason })), [{ delta: 6, reason: 'restock' }]);
+    assert.equal(sessions.length, 2);
+    assert.ok(sessions[0] && sessions[0] === sessions[1]);
+  });
+});
+
+describe('visitor take and restock', () => {
+  const makeRes = () => ({
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  });
+
+  // Run an Express handler and resolve once it has responded or called next
+  const run = async (handler, req, res = makeRes()) => {
+    let error;
+    await handler(req, res, (err) => { error = err; });
+    if (error) throw error;
+    return res;
+  };
+
+  const visit = (product, fields = {}) => ({ params: { id: String(product._id) }, ip: '203.0.113.7', ...fields });
+
+  let product;
+
+  beforeEach(() => {
+    product = addProduct({ quantity: 2 });
+    ledger.push({ productId: product._id, delta: 2 });
+  });
+
+  it('takes an item and attributes it to the hashed visitor', async () => {
+    const res = await run(takeProduct, visit(product));
+
+    assert.equal(res.body.quantity, 1);
+    const row = ledger.at(-1);
+    assert.equal(row.reason, 'taken');
+    assert.equal(row.delta, -1);
+    assert.equal(row.actorId, null);
+    assert.match(row.visitorHash, /^[0-9a-f]{32}$/);
+    assert.ok(!row.visitorHash.includes('203.0.113.7'));
+  });
+
+  it('restocks the requested amount', async () => {
+    const res = await run(restockProduct, visit(product, { validated: { amount: 3 } }));
+
+    assert.equal(res.body.quantity, 5);
+    assert.equal(ledger.at(-1).reason, 'restock');
+  });
+
+  it('rejects taking more than is left', async () => {
+    await assert.rejects(run(takeProduct, visit(product, { validated: { amount: 3 } })), { code: 'CONFLICT_004' });
+    assert.equal(findProduct(product._id).quantity, 2);
+  });
+
+  it('lets only one of two visitors take the last item', async () => {
+    findProduct(product._id).quantity = 1;
+
+    const results = await Promise.allSettled([
+      run(takeProduct, visit(product)),
+      run(takeProduct, visit(product, { ip: '198.51.100.4' })),
+    ]);
+
+    assert.deepEqual(results.map((r) => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find((r) => r.status === 'rejected').reason.code, 'CONFLICT_004');
+    assert.equal(findProduct(product._id).quantity, 0);
+  });
+
+  it('hides archived products', async () => {
+    findProduct(product._id).archivedAt = new Date();
+
+    await assert.rejects(run(takeProduct, visit(product)), { code: 'NOT_FOUND_003' });
+    assert.equal(findProduct(product._id).quantity, 2);
+  });
+});
@@ -0,0 +1,197 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { createItemRequest, upvoteItemRequest } = require('../controllers/itemRequestController');
+const ItemRequest = require('../models/itemRequest');
+const ItemRequestVote = require('../models/itemRequestVote');
+const Store = require('../models/store');
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+const equals = (actual, expected) => String(actual ?? null) === String(expected);
+
+const matches = (doc, filter) => Object.entries(filter).every(([field, value]) => equals(doc[field], value));
+
+// In-memory collection for a model. Writes enforce the unique indexes
+// declared on the model's schema, as MongoDB would. Every call yields once
+// before it runs, so concurrent requests interleave between their reads and
+// writes while each single write stays atomic.
+const collection = (Model) => {
+  const docs = [];
+  const uniqueIndexes = Model.schema.indexes().filter(([, options]) => options.unique);
+
+  const assertUnique = (doc) => {
+    for (const [fields, { partialFilterExpression: partial }] of uniqueIndexes) {
+      if (partial && !matches(doc, partial)) continue;
+      const clash = docs.some((other) => other !== doc
+        && (!partial || matches(other, partial))
+        && Object.keys(fields).every((field) => String(other[field]) === String(doc[field])));
+      if (clash) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+  };
+
+  const query = (run) => {
+    const q = {
+      select: () => q,
+      lean: () => q,
+      then: (resolve, reject) => tick().then(run).then(resolve, reject),
+    };
+    return q;
+  };
+
+  mock.method(Model, 'create', async (fields) => {
+    await tick();
+    const doc = new Model(fields).toObject();
+    assertUnique(doc);
+    docs.push(doc);
+    return { ...doc };
+  });
+
+  const findOne = (filter) => {
+    const doc = docs.find((d) => matches(d, filter));
+    return doc ? { ...doc } : null;
+  };
+
+  mock.method(Model, 'findOne', (filter) => query(() => findOne(filter)));
+  mock.method(Model, 'findById', (id) => query(() => findOne({ _id: id })));
+
+  mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => query(() => {
+    const doc = docs.find((d) => matches(d, filter));
+    if (!doc) return null;
+    const before = { ...doc };
+    for (const [field, amount] of Object.entries(update.$inc || {})) doc[field] += amount;
+    return { ...(options.new ? doc : before) };
+  }));
+
+  mock.method(Model, 'deleteOne', (filter) => query(() => {
+    const index = docs.findIndex((doc) => matches(doc, filter));
+    if (index !== -1) docs.splice(index, 1);
+    return { deletedCount: index === -1 ? 0 : 1 };
+  }));
+
+  return docs;
+};
+
+const makeRes = () => ({
+  statusCode: 200,
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+// Run an Express handler and resolve once it has responded or called next
+const run = async (handler, req, res = makeRes()) => {
+  let error;
+  await handler(req, res, (err) => { error = err; });
+  if (error) throw error;
+  return res;
+};
+
+describe('store needs list', () => {
+  let store;
+  let requests;
+  let votes;
+
+  const create = (text, ip = '203.0.113.7') =>
+    run(createItemRequest, { params: { storeId: String(store._id) }, validated: { text }, ip });
+
+  const upvote = (itemRequest, ip) =>
+    run(upvoteItemRequest, { params: { storeId: String(store._id), requestId: String(itemRequest._id) }, ip });
+
+  beforeEach(() => {
+    store = { _id: new mongoose.Types.ObjectId(), name: 'Corner Pantry', archivedAt: null };
+    mock.method(Store, 'findById', async () => store);
+    requests = collection(ItemRequest);
+    votes = collection(ItemRequestVote);
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('counts the requester as the first vote', async () => {
+    const { body } = await create('Rice');
+
+    assert.equal(body.upvotes, 1);
+    await assert.rejects(upvote(body, '203.0.113.7'), { code: 'CONFLICT_007' });
+    assert.equal(requests[0].upvotes, 1);
+  });
+
+  it('counts one vote per visitor', async () => {
+    const { body } = await create('Rice');
+
+    await upvote(body, '198.51.100.1');
+    await upvote(body, '198.51.100.2');
+    await assert.rejects(upvote(body, '198.51.100.1'), { code: 'CONFLICT_007' });
+
+    assert.equal(requests[0].upvotes, 3);
+  });
+
+  it('counts concurrent votes from the same visitor once', async () => {
+    const { body } = await create('Rice');
+
+    const results = await Promise.allSettled([
+      upvote(body, '198.51.100.1'),
+      upvote(body, '198.51.100.1'),
+      upvote(body, '198.51.100.1'),
+    ]);
+
+    assert.equal(results.filter((r) => r.status === 'fulfilled').length, 1);
+    assert.ok(results.filter((r) => r.status === 'rejected').every((r) => r.reason.code === 'CONFLICT_007'));
+    assert.equal(requests[0].upvotes, 2);
+  });
+
+  it('rejects votes on closed requests', async () => {
+    const { body } = await create('Rice');
+    requests[0].status = 'fulfilled';
+
+    await assert.rejects(upvote(body, '198.51.100.1'), { code: 'CONFLICT_006' });
+    assert.equal(requests[0].upvotes, 1);
+  });
+
+  it('rejects votes on archived stores', async () => {
+    const { body } = await create('Rice');
+    store.archivedAt = new Date();
+
+    await assert.rejects(upvote(body, '198.51.100.1'), { code: 'CONFLICT_001' });
+    assert.equal(requests[0].upvotes, 1);
+  });
+
+  it('takes the vote back when the request closes while voting', async () => {
+    const { body } = await create('Rice');
+    const castVote = ItemRequestVote.create;
+    mock.method(ItemRequestVote, 'create', async (fields) => {
+      requests[0].status = 'declined';
+      return castVote(fields);
+    });
+
+    await assert.rejects(upvote(body, '198.51.100.1'), { code: 'CONFLICT_006' });
+    assert.equal(requests[0].upvotes, 1);
+    assert.deepEqual(votes.map((vote) => vote.voterKey), [requests[0].visitorHash]);
+  });
+
+  it('points a second request for the same item at the open one', async () => {
+    await create('Rice');
+
+    await assert.rejects(create('rice', '198.51.100.1'), { code: 'CONFLICT_005' });
+    assert.equal(requests.length, 1);
+  });
+
+  it('lets only one of two concurrent requests for the same item through', async () => {
+    const results = await Promise.allSettled([create('Rice'), create('rice', '198.51.100.1')]);
+
+    assert.deepEqual(results.map((r) => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find((r) => r.status === 'rejected').reason.code, 'CONFLICT_005');
+    assert.equal(requests.length, 1);
+  });
+
+  it('allows a new request once the old one is closed', async () => {
+    await create('Rice');
+    requests[0].status = 'fulfilled';
+
+    const { statusCode } = await create('Rice', '198.51.100.1');
+
+    assert.equal(statusCode, 201);
+    assert.equal(requests.length, 2);
+  });
+});
@@ -0,0 +1,164 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+process.env.FRONTEND_URL = 'https://app.example.com';
+
+const { requestMagicLink, consumeMagicLink } = require('../controllers/authController');
+const User = require('../models/user');
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+const makeRes = () => ({
+  statusCode: 200,
+  cookies: {},
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+  cookie(name, value) { this.cookies[name] = value; },
+});
+
+const makeReq = (validated) => ({
+  validated,
+  cookies: {},
+  ip: '203.0.113.7',
+  get: () => undefined,
+});
+
+// Run an Express handler and resolve once it has responded or called next
+const run = async (handler, req, res = makeRes()) => {
+  let error;
+  await handler(req, res, (err) => { error = err; });
+  if (error) throw error;
+  return res;
+};
+
+describe('magic-link sign-in', () => {
+  let stored;
+  let sent;
+
+  // Document handed to the controller: a copy that writes back on save
+  const toDocument = (fields) => ({
+    ...fields,
+    refreshTokens: [...fields.refreshTokens],
+    async save() {
+      await tick();
+      const { save, ...changes } = this;
+      Object.assign(stored, changes);
+    },
+  });
+
+  const requestLink = async () => {
+    await run(requestMagicLink, makeReq({ email: stored.email }));
+    return new URL(sent.at(-1).html.match(/href="([^"]+)"/)[1]).searchParams.get('token');
+  };
+
+  const consume = (token) => run(consumeMagicLink, makeReq({ token }));
+
+  beforeEach(() => {
+    stored = {
+      _id: new mongoose.Types.ObjectId(),
+      email: 'sam@example.com',
+      displayName: 'Sam',
+      role: 'user',
+      emailVerified: false,
+      refreshTokens: [],
+    };
+    sent = [];
+
+    mock.method(User, 'findOne', async (filter) => (filter.email === stored.email ? toDocument(stored) : null));
+
+    // Matches on the token hash and expiry and clears both in one step
+    mock.method(User, 'findOneAndUpdate', async (filter, update) => {
+      await tick();
+      if (stored.magicLinkToken !== filter.magicLinkToken || !(stored.magicLinkExpires > filter.magicLinkExpires.$gt)) {
+        return null;
+      }
+      for (const field of Object.keys(update.$unset)) delete stored[field];
+      return toDocument(stored);
+    });
+
+    mock.method(nodemailer, 'createTransport', () => ({
+      sendMail: async (message) => { sent.push(message); },
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('stores only a hash of the emailed token', async () => {
+    const token = await requestLink();
+
+    assert.match(token, /^[0-9a-f]{64}$/);
+    assert.ok(stored.magicLinkToken);
+    assert.notEqual(stored.magicLinkToken, token);
+  });
+
+  it('signs in and verifies the email', async () => {
+    const res = await consume(await requestLink());
+
+    assert.equal(res.statusCode, 200);
+    assert.ok(res.cookies.accessToken);
+    assert.ok(res.cookies.refreshToken);
+    assert.equal(stored.emailVerified, true);
+    assert.equal(stored.refreshTokens.length, 1);
+  });
+
+  it('works only once', async () => {
+    const token = await requestLink();
+
+    await consume(token);
+
+    await assert.rejects(consume(token), { code: 'NOT_FOUND_010' });
+    assert.equal(stored.refreshTokens.length, 1);
+  });
+
+  it('signs in only once when the link is opened twice at the same time', async () => {
+    const token = await requestLink();
+
+    const results = await Promise.allSettled([consume(token), consume(token)]);
+
+    assert.deepEqual(results.map((r) => r.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find((r) => r.status === 'rejected').reason.code, 'NOT_FOUND_010');
+    assert.equal(stored.refreshTokens.length, 1);
+  });
+
+  it('rejects an expired link', async () => {
+    const token = await requestLink();
+    stored.magicLinkExpires = Date.now() - 1000;
+
+    await assert.rejects(consume(token), { code: 'NOT_FOUND_010' });
+    assert.equal(stored.refreshTokens.length, 0);
+  });
+
+  it('only accepts the most recent link', async () => {
+    const first = await requestLink();
+    const second = await requestLink();
+
+    await assert.rejects(consume(first), { code: 'NOT_FOUND_010' });
+    assert.equal((await consume(second)).statusCode, 200);
+  });
+
+  it('uses up the link but refuses a locked account', async () => {
+    const token = await requestLink();
+    stored.accountLockedUntil = new Date(Date.now() + 60 * 1000);
+
+    await assert.rejects(consume(token), { code: 'AUTH_006' });
+    assert.equal(stored.magicLinkToken, undefined);
+    assert.equal(stored.refreshTokens.length, 0);
+  });
+
+  it('asks for the second factor instead of signing in when 2FA is on', async () => {
+    stored.twoFactor = { enabled: true };
+
+    const res = await consume(await requestLink());
+
+    assert.equal(res.body.twoFactorRequired, true);
+    assert.ok(res.body.challengeToken);
+    assert.deepEqual(res.cookies, {});
+    assert.equal(stored.refreshTokens.length, 0);
+  });
+});
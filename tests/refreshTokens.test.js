@@ -0,0 +1,151 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const {
+  verifyRefreshToken,
+  createSession,
+  rotateSession,
+  findSession,
+  getCurrentSessionId,
+} = require('../utils/refreshTokens');
+const authMiddleware = require('../middleware/authMiddleware');
+
+const makeReq = (cookies = {}) => ({
+  cookies,
+  ip: '203.0.113.7',
+  get: (name) => (name.toLowerCase() === 'user-agent' ? 'test-agent' : undefined),
+});
+
+// Stand-in for a User document: createSession/rotateSession only push,
+// filter and save
+const makeUser = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  refreshTokens: [],
+  saves: 0,
+  async save() {
+    this.saves++;
+  },
+});
+
+describe('refresh token sessions', () => {
+  let user;
+
+  beforeEach(() => {
+    user = makeUser();
+  });
+
+  it('creates one family per sign-in and stores only a hash', async () => {
+    const { refreshToken: token } = await createSession(user, makeReq());
+    const decoded = verifyRefreshToken(token);
+
+    assert.equal(user.refreshTokens.length, 1);
+    assert.equal(user.saves, 1);
+    assert.equal(String(user.refreshTokens[0]._id), decoded.fid);
+    assert.notEqual(user.refreshTokens[0].tokenHash, token);
+    assert.equal(user.refreshTokens[0].userAgent, 'test-agent');
+  });
+
+  it('finds the session for the current token', async () => {
+    const { refreshToken: token } = await createSession(user, makeReq());
+    const { session, reused } = findSession(user, token, verifyRefreshToken(token));
+
+    assert.equal(session, user.refreshTokens[0]);
+    assert.equal(reused, false);
+  });
+
+  it('keeps the family when rotating and flags the old token as reused', async () => {
+    const { refreshToken: first } = await createSession(user, makeReq());
+    const { session } = findSession(user, first, verifyRefreshToken(first));
+    const second = await rotateSession(user, session, makeReq());
+
+    assert.notEqual(second, first);
+    assert.equal(verifyRefreshToken(second).fid, verifyRefreshToken(first).fid);
+    assert.equal(user.refreshTokens.length, 1);
+
+    const replay = findSession(user, first, verifyRefreshToken(first));
+    assert.equal(replay.session, null);
+    assert.equal(replay.reused, true);
+    assert.equal(replay.family, user.refreshTokens[0]);
+
+    assert.equal(findSession(user, second, verifyRefreshToken(second)).session, user.refreshTokens[0]);
+  });
+
+  it('does not report reuse for a revoked or expired family', async () => {
+    const { refreshToken: token } = await createSession(user, makeReq());
+    const decoded = verifyRefreshToken(token);
+
+    user.refreshTokens[0].expiresAt = new Date(Date.now() - 1000);
+    assert.deepEqual(findSession(user, token, decoded), { session: null, reused: false });
+
+    user.refreshTokens = [];
+    assert.deepEqual(findSession(user, token, decoded), { session: null, reused: false });
+  });
+
+  it('prunes expired sessions when a new one starts', async () => {
+    await createSession(user, makeReq());
+    user.refreshTokens[0].expiresAt = new Date(Date.now() - 1000);
+
+    await createSession(user, makeReq());
+    assert.equal(user.refreshTokens.length, 1);
+  });
+
+  it('returns the new family id as the session id', async () => {
+    const { refreshToken, sessionId } = await createSession(user, makeReq());
+
+    assert.equal(String(sessionId), verifyRefreshToken(refreshToken).fid);
+  });
+
+  it('identifies the live session the access token was issued for', async () => {
+    const { sessionId } = await createSession(user, makeReq());
+    const withSession = (id) => ({ ...makeReq(), user: { sessionId: id } });
+
+    assert.equal(getCurrentSessionId(user, withSession(String(sessionId))), String(sessionId));
+    assert.equal(getCurrentSessionId(makeUser(), withSession(String(sessionId))), null);
+    assert.equal(getCurrentSessionId(user, makeReq()), null);
+
+    user.refreshTokens[0].expiresAt = new Date(Date.now() - 1000);
+    assert.equal(getCurrentSessionId(user, withSession(String(sessionId))), null);
+  });
+});
+
+describe('verifyRefreshToken', () => {
+  it('rejects tokens signed with another secret', () => {
+    const token = jwt.sign({ userId: 'u', fid: 'f', purpose: 'refresh' }, 'other-secret');
+    assert.equal(verifyRefreshToken(token), null);
+  });
+
+  it('rejects access tokens and other purpose-bound tokens', () => {
+    const secret = process.env.JWT_REFRESH_SECRET;
+
+    assert.equal(verifyRefreshToken(jwt.sign({ userId: 'u' }, secret)), null);
+    assert.equal(verifyRefreshToken(jwt.sign({ userId: 'u', fid: 'f', purpose: '2fa' }, secret)), null);
+  });
+
+  it('rejects tokens without the refresh purpose', () => {
+    const token = jwt.sign({ userId: 'u', fid: 'f' }, process.env.JWT_REFRESH_SECRET);
+    assert.equal(verifyRefreshToken(token), null);
+  });
+});
+
+describe('authMiddleware', () => {
+  const runAuth = (token) =>
+    new Promise((resolve) => {
+      const res = { status(code) { this.statusCode = code; return this; } };
+      const req = { ...makeReq(), get: (name) => (name === 'authorization' ? `Bearer ${token}` : undefined) };
+      authMiddleware(req, res, (err) => resolve({ err, res }));
+    });
+
+  it('does not accept a refresh token as an access token', async () => {
+    // Same secret for both, as when JWT_REFRESH_SECRET is unset
+    const token = jwt.sign({ userId: 'u', fid: 'f', jti: 'j', purpose: 'refresh' }, process.env.JWT_SECRET);
+    const { err, res } = await runAuth(token);
+
+    assert.equal(res.statusCode, 401);
+    assert.match(err.message, /invalid token/);
+  });
+});
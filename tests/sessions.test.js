@@ -0,0 +1,103 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+const { createSession } = require('../utils/refreshTokens');
+const { refreshAccessToken } = require('../controllers/authController');
+const { getSessions, revokeOtherSessions } = require('../controllers/sessionController');
+const authMiddleware = require('../middleware/authMiddleware');
+const User = require('../models/user');
+
+const makeRes = () => ({
+  statusCode: 200,
+  cookies: {},
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+  cookie(name, value) { this.cookies[name] = value; },
+  clearCookie(name) { delete this.cookies[name]; },
+});
+
+const makeReq = (fields = {}) => ({
+  cookies: {},
+  ip: '203.0.113.7',
+  headers: {},
+  get(name) { return this.headers[name.toLowerCase()]; },
+  ...fields,
+});
+
+// Run an Express handler and resolve once it has responded or called next
+const run = async (handler, req, res = makeRes()) => {
+  let error;
+  await handler(req, res, (err) => { error = err; });
+  if (error) throw error;
+  return res;
+};
+
+// Native app flow: tokens in the body, access token as a bearer header, no cookies
+describe('sessions for body-mode clients', () => {
+  let user;
+
+  beforeEach(() => {
+    user = {
+      _id: new mongoose.Types.ObjectId(),
+      role: 'user',
+      emailVerified: true,
+      refreshTokens: [],
+      async save() {},
+    };
+
+    // findById is awaited directly (refresh), via select (sessions) and via
+    // select().lean() (authMiddleware)
+    mock.method(User, 'findById', () => ({
+      then: (resolve, reject) => Promise.resolve(user).then(resolve, reject),
+      select: (fields) => (fields === 'refreshTokens' ? Promise.resolve(user) : { lean: async () => user }),
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  const signInOnDevice = async () => {
+    const { refreshToken } = await createSession(user, makeReq());
+    const res = await run(refreshAccessToken, makeReq({ validated: { tokenDelivery: 'body', refreshToken } }));
+
+    assert.deepEqual(res.cookies, {});
+    return res.body.accessToken;
+  };
+
+  const authenticate = async (accessToken) => {
+    const req = makeReq({ headers: { authorization: `Bearer ${accessToken}` } });
+    await run(authMiddleware, req);
+    return req;
+  };
+
+  it('marks the session of the bearer token as current', async () => {
+    await signInOnDevice();
+    const accessToken = await signInOnDevice();
+
+    const res = await run(getSessions, await authenticate(accessToken));
+
+    assert.equal(res.body.sessions.length, 2);
+    assert.deepEqual(
+      res.body.sessions.map((s) => s.current).sort(),
+      [false, true]
+    );
+    assert.equal(String(res.body.sessions.find((s) => s.current)._id), String(user.refreshTokens[1]._id));
+  });
+
+  it('keeps the caller signed in when revoking other sessions', async () => {
+    await signInOnDevice();
+    await signInOnDevice();
+    const accessToken = await signInOnDevice();
+    const ownSessionId = String(user.refreshTokens[2]._id);
+
+    const res = await run(revokeOtherSessions, await authenticate(accessToken));
+
+    assert.equal(res.body.revoked, 2);
+    assert.deepEqual(user.refreshTokens.map((t) => String(t._id)), [ownSessionId]);
+  });
+});
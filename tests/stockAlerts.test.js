@@ -0,0 +1,175 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+
+const { getStockLevel, checkStockAlert } = require('../utils/stockAlerts');
+const logger = require('../utils/logger');
+const Product = require('../models/product');
+const Store = require('../models/store');
+const User = require('../models/user');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+const lean = (value) => ({ select: () => ({ lean: async () => value }) });
+
+describe('getStockLevel', () => {
+  it('is ok while no threshold is set', () => {
+    assert.equal(getStockLevel(0, null), 'ok');
+  });
+
+  it('is low at or below the threshold and out at zero', () => {
+    assert.equal(getStockLevel(4, 3), 'ok');
+    assert.equal(getStockLevel(3, 3), 'low');
+    assert.equal(getStockLevel(1, 3), 'low');
+    assert.equal(getStockLevel(0, 3), 'out');
+  });
+});
+
+describe('checkStockAlert', () => {
+  let store;
+  let stored;
+  let sent;
+  let errors;
+
+  // Snapshot of the product as the write that triggers the check returns it
+  const afterWrite = (quantity) => ({ ...stored, quantity });
+
+  beforeEach(() => {
+    store = {
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Corner Pantry',
+      ownerId: new mongoose.Types.ObjectId(),
+      lowStockThreshold: null,
+      archivedAt: null,
+    };
+    stored = {
+      _id: new mongoose.Types.ObjectId(),
+      storeId: store._id,
+      name: 'Rice',
+      lowStockThreshold: 3,
+      stockAlertLevel: 'ok',
+    };
+    sent = [];
+    errors = [];
+
+    mock.method(Store, 'findById', () => lean(store));
+    mock.method(User, 'findById', () => lean({ email: 'owner@example.com', displayName: 'Sam' }));
+
+    // Conditional update on the stored level, applied atomically after a tick
+    mock.method(Product, 'findOneAndUpdate', async (filter, update) => {
+      await tick();
+      const expected = filter.stockAlertLevel.$in || [filter.stockAlertLevel];
+      if (String(filter._id) !== String(stored._id) || !expected.includes(stored.stockAlertLevel)) return null;
+      const before = { ...stored };
+      Object.assign(stored, update.$set);
+      return before;
+    });
+
+    mock.method(nodemailer, 'createTransport', () => ({
+      sendMail: async (message) => { sent.push(message); },
+    }));
+    mock.method(logger, 'info', () => {});
+    mock.method(logger, 'error', (event, meta) => errors.push({ event, meta }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('emails the owner when stock drops to the threshold', async () => {
+    await checkStockAlert(afterWrite(2));
+
+    assert.equal(stored.stockAlertLevel, 'low');
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].to, 'owner@example.com');
+    assert.equal(sent[0].subject, 'Corner Pantry: Rice is running low (2 left)');
+  });
+
+  it('emails again when low stock runs out', async () => {
+    stored.stockAlertLevel = 'low';
+
+    await checkStockAlert(afterWrite(0));
+
+    assert.equal(stored.stockAlertLevel, 'out');
+    assert.equal(sent[0].subject, 'Corner Pantry: Rice is out of stock');
+  });
+
+  it('sends one email when the same change is checked concurrently', async () => {
+    const product = afterWrite(1);
+
+    await Promise.all([checkStockAlert(product), checkStockAlert(product), checkStockAlert(product)]);
+
+    assert.equal(sent.length, 1);
+    assert.equal(stored.stockAlertLevel, 'low');
+  });
+
+  it('resets the level without emailing when stock recovers', async () => {
+    stored.stockAlertLevel = 'out';
+
+    await checkStockAlert(afterWrite(10));
+
+    assert.equal(stored.stockAlertLevel, 'ok');
+    assert.equal(sent.length, 0);
+  });
+
+  it('does not repeat the same alert within the cooldown', async () => {
+    stored.lastStockAlert = { level: 'low', at: new Date(Date.now() - HOUR_MS) };
+
+    await checkStockAlert(afterWrite(2));
+
+    assert.equal(stored.stockAlertLevel, 'low');
+    assert.equal(sent.length, 0);
+  });
+
+  it('repeats it once the cooldown has passed', async () => {
+    stored.lastStockAlert = { level: 'low', at: new Date(Date.now() - 7 * HOUR_MS) };
+
+    await checkStockAlert(afterWrite(2));
+
+    assert.equal(sent.length, 1);
+    assert.equal(stored.lastStockAlert.level, 'low');
+    assert.ok(Date.now() - stored.lastStockAlert.at.getTime() < HOUR_MS);
+  });
+
+  it('falls back to the store threshold', async () => {
+    stored.lowStockThreshold = null;
+    store.lowStockThreshold = 5;
+
+    await checkStockAlert(afterWrite(5));
+
+    assert.equal(sent.length, 1);
+  });
+
+  it('stays quiet for archived stores', async () => {
+    store.archivedAt = new Date();
+
+    await checkStockAlert(afterWrite(0));
+
+    assert.equal(stored.stockAlertLevel, 'ok');
+    assert.equal(sent.length, 0);
+  });
+
+  it('logs instead of throwing when the email fails', async () => {
+    nodemailer.createTransport.mock.mockImplementation(() => ({
+      sendMail: async () => { throw new Error('SMTP down'); },
+    }));
+
+    await checkStockAlert(afterWrite(0));
+
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].event, 'STOCK_ALERT_FAILED');
+  });
+
+  it('escapes names in the email body', async () => {
+    store.name = '<b>Pantry</b>';
+    stored.name = '<img src=x>';
+
+    await checkStockAlert(afterWrite(0));
+
+    assert.ok(!sent[0].html.includes('<img'));
+    assert.ok(!sent[0].html.includes('<b>'));
+    assert.match(sent[0].html, /&lt;img src=x&gt;/);
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const { createStorage } = require('../storage');
+
+const S3_BASE = { STORAGE_DRIVER: 's3', S3_BUCKET: 'pantry-images' };
+
+describe('createStorage URLs', () => {
+  it('uses virtual-hosted AWS URLs by default', () => {
+    assert.equal(
+      createStorage({ ...S3_BASE, S3_REGION: 'eu-west-1' }).getUrl('a-thumb.jpg'),
+      'https://pantry-images.s3.eu-west-1.amazonaws.com/a-thumb.jpg'
+    );
+    assert.equal(
+      createStorage(S3_BASE).getUrl('a-thumb.jpg'),
+      'https://pantry-images.s3.us-east-1.amazonaws.com/a-thumb.jpg'
+    );
+  });
+
+  it('puts the bucket in the path with S3_FORCE_PATH_STYLE', () => {
+    const storage = createStorage({
+      ...S3_BASE,
+      S3_ENDPOINT: 'http://localhost:9000/',
+      S3_FORCE_PATH_STYLE: 'true',
+    });
+
+    assert.equal(storage.getUrl('a-thumb.jpg'), 'http://localhost:9000/pantry-images/a-thumb.jpg');
+  });
+
+  it('puts the bucket in the host of a custom endpoint otherwise', () => {
+    const storage = createStorage({ ...S3_BASE, S3_ENDPOINT: 'https://nyc3.digitaloceanspaces.com' });
+
+    assert.equal(storage.getUrl('a-thumb.jpg'), 'https://pantry-images.nyc3.digitaloceanspaces.com/a-thumb.jpg');
+  });
+
+  it('prefers S3_PUBLIC_URL over every other setting', () => {
+    const storage = createStorage({
+      ...S3_BASE,
+      S3_ENDPOINT: 'http://localhost:9000',
+      S3_FORCE_PATH_STYLE: 'true',
+      S3_PUBLIC_URL: 'https://cdn.example.com/images/',
+    });
+
+    assert.equal(storage.getUrl('a-thumb.jpg'), 'https://cdn.example.com/images/a-thumb.jpg');
+  });
+
+  it('serves local files from the request host unless UPLOADS_PUBLIC_URL is set', () => {
+    const req = { protocol: 'https', get: (name) => (name === 'host' ? 'api.example.com' : undefined) };
+
+    assert.equal(createStorage({}).getUrl('a-thumb.jpg', req), 'https://api.example.com/uploads/a-thumb.jpg');
+    assert.equal(
+      createStorage({ UPLOADS_PUBLIC_URL: 'https://files.example.com/' }).getUrl('a-thumb.jpg', req),
+      'https://files.example.com/a-thumb.jpg'
+    );
+  });
+
+  it('rejects an unknown driver or a missing bucket', () => {
+    assert.throws(() => createStorage({ STORAGE_DRIVER: 'ftp' }), /Unknown STORAGE_DRIVER/);
+    assert.throws(() => createStorage({ STORAGE_DRIVER: 's3' }), /S3_BUCKET/);
+  });
+});
+
+describe('local driver', () => {
+  let dir;
+  let storage;
+
+  before(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-test-'));
+    storage = createStorage({ UPLOADS_DIR: dir });
+  });
+
+  after(async () => {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it('writes and deletes files in its directory', async () => {
+    await storage.put('a-thumb.jpg', Buffer.from('image'));
+    assert.equal(await fs.promises.readFile(path.join(dir, 'a-thumb.jpg'), 'utf8'), 'image');
+
+    await storage.delete('a-thumb.jpg');
+    assert.equal(fs.existsSync(path.join(dir, 'a-thumb.jpg')), false);
+
+    // Deleting a missing file is not an error
+    await storage.delete('a-thumb.jpg');
+  });
+
+  it('never writes outside its directory', async () => {
+    await assert.rejects(storage.put('../escape.jpg', Buffer.from('x')), /Invalid storage key/);
+    await assert.rejects(storage.put('nested/a.jpg', Buffer.from('x')), /Invalid storage key/);
+  });
+});
+
+// Needs a real bucket that allows public reads, e.g. MinIO:
+//   S3_ENDPOINT=http://localhost:9000 S3_FORCE_PATH_STYLE=true S3_BUCKET=uploads \
+//   S3_ACCESS_KEY_ID=minioadmin S3_SECRET_ACCESS_KEY=minioadmin npm test
+describe('s3 driver', { skip: !process.env.S3_ENDPOINT && 'S3_ENDPOINT is not set' }, () => {
+  it('round-trips an object through the bucket', async () => {
+    const storage = createStorage({ ...process.env, STORAGE_DRIVER: 's3' });
+    const key = `storage-test-${Date.now()}.txt`;
+    const url = storage.getUrl(key);
+
+    await storage.put(key, Buffer.from('storage test'), { contentType: 'text/plain' });
+    try {
+      const response = await axios.get(url, { responseType: 'text' });
+      assert.equal(response.data, 'storage test');
+      assert.match(response.headers['content-type'], /^text\/plain/);
+      assert.match(response.headers['cache-control'], /immutable/);
+    } finally {
+      await storage.delete(key);
+    }
+
+    const afterDelete = await axios.get(url, { validateStatus: () => true });
+    assert.ok([403, 404].includes(afterDelete.status), `expected the object to be gone, got ${afterDelete.status}`);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { STORE_ROLE_CAPABILITIES, getStoreRole, storeRoleCan, assertStoreAccess } = require('../utils/storeAccess');
+const StoreMembership = require('../models/storeMembership');
+
+const OWNER_ONLY = ['store:archive', 'store:purge', 'store:transfer'];
+const MANAGER_AND_UP = ['store:update', 'members:manage', 'requests:manage'];
+const EVERY_MEMBER = ['members:read', 'products:write', 'inventory:read'];
+
+describe('storeRoleCan', () => {
+  const cases = [
+    ['owner', [...OWNER_ONLY, ...MANAGER_AND_UP, ...EVERY_MEMBER], []],
+    ['manager', [...MANAGER_AND_UP, ...EVERY_MEMBER], OWNER_ONLY],
+    ['contributor', EVERY_MEMBER, [...OWNER_ONLY, ...MANAGER_AND_UP]],
+    [null, [], [...OWNER_ONLY, ...MANAGER_AND_UP, ...EVERY_MEMBER]],
+  ];
+
+  for (const [role, allowed, denied] of cases) {
+    it(`gives ${role || 'non-members'} exactly their capabilities`, () => {
+      for (const capability of allowed) assert.equal(storeRoleCan(role, capability), true, capability);
+      for (const capability of denied) assert.equal(storeRoleCan(role, capability), false, capability);
+    });
+  }
+
+  it('covers every capability the roles define', () => {
+    const defined = new Set(Object.values(STORE_ROLE_CAPABILITIES).flat());
+    assert.deepEqual([...defined].sort(), [...OWNER_ONLY, ...MANAGER_AND_UP, ...EVERY_MEMBER].sort());
+  });
+
+  it('knows no unlisted roles', () => {
+    assert.equal(storeRoleCan('admin', 'store:update'), false);
+  });
+});
+
+describe('assertStoreAccess', () => {
+  let store;
+  let memberships;
+
+  const user = (role = 'user') => ({ userId: String(new mongoose.Types.ObjectId()), role });
+
+  const join = (member, role) => {
+    memberships.push({ storeId: store._id, userId: member.userId, role });
+    return member;
+  };
+
+  beforeEach(() => {
+    store = { _id: new mongoose.Types.ObjectId(), ownerId: new mongoose.Types.ObjectId() };
+    memberships = [];
+
+    mock.method(StoreMembership, 'findOne', (filter) => ({
+      select: () => ({
+        lean: async () => memberships.find((m) => String(m.storeId) === String(filter.storeId)
+          && String(m.userId) === String(filter.userId)) || null,
+      }),
+    }));
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('treats the owner of record as owner without a membership', async () => {
+    const owner = { userId: String(store.ownerId), role: 'store_manager' };
+
+    assert.equal(await assertStoreAccess(store, owner, 'store:purge'), 'owner');
+    assert.equal(StoreMembership.findOne.mock.callCount(), 0);
+  });
+
+  it('lets a manager update the store but not archive it', async () => {
+    const manager = join(user(), 'manager');
+
+    assert.equal(await assertStoreAccess(store, manager, 'store:update'), 'manager');
+    await assert.rejects(assertStoreAccess(store, manager, 'store:archive'), { statusCode: 403, code: 'FORBIDDEN_001' });
+  });
+
+  it('lets a contributor write products but not manage members', async () => {
+    const contributor = join(user(), 'contributor');
+
+    assert.equal(await assertStoreAccess(store, contributor, 'products:write'), 'contributor');
+    await assert.rejects(assertStoreAccess(store, contributor, 'members:manage'), { code: 'FORBIDDEN_001' });
+  });
+
+  it('tells non-members they do not own the store', async () => {
+    await assert.rejects(assertStoreAccess(store, user(), 'products:write'), { statusCode: 403, code: 'FORBIDDEN_003' });
+  });
+
+  it('ignores memberships of other stores', async () => {
+    const member = user();
+    memberships.push({ storeId: new mongoose.Types.ObjectId(), userId: member.userId, role: 'owner' });
+
+    assert.equal(await getStoreRole(store, member), null);
+    await assert.rejects(assertStoreAccess(store, member, 'store:update'), { code: 'FORBIDDEN_003' });
+  });
+
+  it('requires a signed-in user', async () => {
+    await assert.rejects(assertStoreAccess(store, undefined, 'members:read'), { statusCode: 401 });
+  });
+
+  it('lets admins override any capability', async () => {
+    assert.equal(await assertStoreAccess(store, user('admin'), 'store:purge'), null);
+    assert.equal(await assertStoreAccess(store, user('admin'), 'inventory:read', 'products:manage_any'), null);
+  });
+
+  it('limits moderators to their own override', async () => {
+    const moderator = user('moderator');
+
+    assert.equal(await assertStoreAccess(store, moderator, 'requests:manage', 'requests:moderate'), null);
+    await assert.rejects(assertStoreAccess(store, moderator, 'store:update'), { code: 'FORBIDDEN_003' });
+  });
+
+  it('lets staff who are also members through with their store role', async () => {
+    const contributor = join(user('admin'), 'contributor');
+
+    assert.equal(await assertStoreAccess(store, contributor, 'store:purge'), 'contributor');
+  });
+});
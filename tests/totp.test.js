@@ -0,0 +1,144 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TOTP_ENCRYPTION_KEY = 'test-totp-key';
+
+const {
+  generateSecret,
+  generateHotp,
+  getTimeStep,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  consumeSecondFactor,
+} = require('../utils/totp');
+
+// ASCII "12345678901234567890", the secret used by the RFC test vectors
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('generateHotp', () => {
+  it('matches the RFC 4226 test vectors', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+    expected.forEach((code, counter) => {
+      assert.equal(generateHotp(RFC_SECRET, counter), code);
+    });
+  });
+});
+
+describe('verifyTotp', () => {
+  // RFC 6238 SHA-1 vectors, last 6 of the 8 published digits
+  const vectors = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130'],
+  ];
+
+  for (const [seconds, code] of vectors) {
+    it(`accepts the RFC 6238 code at T=${seconds}`, () => {
+      const now = seconds * 1000;
+      assert.equal(verifyTotp(RFC_SECRET, code, { now }), getTimeStep(now));
+    });
+  }
+
+  it('allows one step of clock drift either way, but not two', () => {
+    const now = 1234567890 * 1000;
+    const step = getTimeStep(now);
+
+    assert.equal(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step - 1), { now }), step - 1);
+    assert.equal(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step + 1), { now }), step + 1);
+    assert.equal(verifyTotp(RFC_SECRET, generateHotp(RFC_SECRET, step - 2), { now }), null);
+  });
+
+  it('rejects a code from a step that was already used', () => {
+    const now = 1234567890 * 1000;
+    const step = getTimeStep(now);
+
+    assert.equal(verifyTotp(RFC_SECRET, '005924', { now, lastUsedStep: step }), null);
+    assert.equal(verifyTotp(RFC_SECRET, '005924', { now, lastUsedStep: step - 1 }), step);
+  });
+
+  it('ignores spaces and rejects malformed codes', () => {
+    const now = 1234567890 * 1000;
+
+    assert.equal(verifyTotp(RFC_SECRET, '005 924', { now }), getTimeStep(now));
+    assert.equal(verifyTotp(RFC_SECRET, '5924', { now }), null);
+    assert.equal(verifyTotp(RFC_SECRET, 'abcdef', { now }), null);
+    assert.equal(verifyTotp(RFC_SECRET, undefined, { now }), null);
+  });
+});
+
+describe('secret storage', () => {
+  it('generates 160-bit base32 secrets', () => {
+    assert.match(generateSecret(), /^[A-Z2-7]{32}$/);
+  });
+
+  it('round-trips an encrypted secret', () => {
+    const secret = generateSecret();
+    const stored = encryptSecret(secret);
+
+    assert.notEqual(stored, secret);
+    assert.equal(decryptSecret(stored), secret);
+  });
+
+  it('needs TOTP_ENCRYPTION_KEY and never falls back to JWT_SECRET', () => {
+    const key = process.env.TOTP_ENCRYPTION_KEY;
+    delete process.env.TOTP_ENCRYPTION_KEY;
+    process.env.JWT_SECRET = 'jwt-secret';
+
+    try {
+      assert.throws(() => encryptSecret(generateSecret()), /TOTP_ENCRYPTION_KEY is not set/);
+    } finally {
+      process.env.TOTP_ENCRYPTION_KEY = key;
+      delete process.env.JWT_SECRET;
+    }
+  });
+
+  it('refuses a tampered ciphertext', () => {
+    const [iv, tag, encrypted] = encryptSecret(generateSecret()).split(':');
+    const flipped = (parseInt(encrypted[0], 16) ^ 1).toString(16) + encrypted.slice(1);
+
+    assert.throws(() => decryptSecret([iv, tag, flipped].join(':')));
+  });
+});
+
+describe('consumeSecondFactor', () => {
+  const makeUser = () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    const secret = generateSecret();
+    const user = {
+      twoFactor: { enabled: true, secret: encryptSecret(secret), lastUsedStep: null, recoveryCodes: hashes },
+    };
+    return { user, secret, codes };
+  };
+
+  it('accepts a current code once', () => {
+    const { user, secret } = makeUser();
+    const step = getTimeStep();
+    const code = generateHotp(secret, step);
+
+    assert.equal(consumeSecondFactor(user, { code }), true);
+    assert.equal(user.twoFactor.lastUsedStep, step);
+    assert.equal(consumeSecondFactor(user, { code }), false);
+  });
+
+  it('uses up a recovery code, ignoring case and dashes', () => {
+    const { user, codes } = makeUser();
+    const entered = codes[3].toUpperCase().replace('-', '');
+
+    assert.equal(hashRecoveryCode(entered), hashRecoveryCode(codes[3]));
+    assert.equal(consumeSecondFactor(user, { recoveryCode: entered }), true);
+    assert.equal(user.twoFactor.recoveryCodes.length, codes.length - 1);
+    assert.equal(consumeSecondFactor(user, { recoveryCode: codes[3] }), false);
+  });
+
+  it('rejects when neither code is given', () => {
+    const { user } = makeUser();
+    assert.equal(consumeSecondFactor(user, {}), false);
+  });
+});
@@ -0,0 +1,48 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const { runInTransaction, supportsTransactions } = require('../utils/transactions');
+
+// supportsTransactions caches its answer, so this file only sees a standalone server
+describe('runInTransaction on a standalone server', () => {
+  let helloCalls = 0;
+
+  mongoose.connection.db = {
+    admin: () => ({
+      command: async () => {
+        helloCalls++;
+        return { ismaster: true, isWritablePrimary: true };
+      },
+    }),
+  };
+
+  afterEach(() => {
+    mock.restoreAll();
+  });
+
+  it('runs the callback without a session', async () => {
+    const startSession = mock.method(mongoose, 'startSession', async () => {
+      throw new Error('Transaction numbers are only allowed on a replica set member or mongos');
+    });
+
+    const result = await runInTransaction(async (session) => {
+      assert.equal(session, null);
+      return 'done';
+    });
+
+    assert.equal(result, 'done');
+    assert.equal(startSession.mock.callCount(), 0);
+  });
+
+  it('passes errors from the callback through', async () => {
+    await assert.rejects(runInTransaction(async () => {
+      throw new Error('write failed');
+    }), /write failed/);
+  });
+
+  it('asks the server only once', async () => {
+    assert.equal(await supportsTransactions(), false);
+    assert.equal(helloCalls, 1);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Personal API key helpers
+ * Keys look like "pk_<8 hex>_<secret>". "pk_<8 hex>" is the visible prefix
+ * stored in plaintext for lookup; the whole key is only stored hashed.
+ */
+
+const crypto = require('crypto');
+const { hashToken } = require('./tokens');
+
+const API_KEY_PREFIX = 'pk_';
+const API_KEY_PATTERN = /^(pk_[0-9a-f]{8})_[A-Za-z0-9_-]{43}$/;
+
+/**
+ * Generate a new API key
+ * @returns {Object} - { key: shown to the user once, prefix, keyHash }
+ */
+function generateApiKey() {
+  const prefix = `${API_KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  return { key, prefix, keyHash: hashToken(key) };
+}
+
+/**
+ * Check whether a bearer token is an API key rather than a JWT
+ * @param {string} token
+ * @returns {boolean}
+ */
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+}
+
+/**
+ * Extract the lookup prefix from a presented key
+ * @param {string} key
+ * @returns {string|null} - null if the key is malformed
+ */
+function getApiKeyPrefix(key) {
+  const match = API_KEY_PATTERN.exec(key);
+  return match ? match[1] : null;
+}
+
+/**
+ * Compare a presented key with a stored hash in constant time
+ * @param {string} key
+ * @param {string} keyHash
+ * @returns {boolean}
+ */
+function matchesApiKey(key, keyHash) {
+  const presented = Buffer.from(hashToken(key), 'hex');
+  const stored = Buffer.from(String(keyHash), 'hex');
+  return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+}
+
+module.exports = {
+  generateApiKey,
+  isApiKey,
+  getApiKeyPrefix,
+  matchesApiKey,
+};
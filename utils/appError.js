@@ -61,6 +61,9 @@ AppError.EMAIL_ALREADY_EXISTS = (message = 'Email is already registered') =>
 AppError.ACCOUNT_LOCKED = (message = 'Account is locked due to too many login attempts') =>
   new AppError(message, 429, 'AUTH_006', true);
 
+AppError.INVALID_TWO_FACTOR_CODE = (message = 'Invalid two-factor code') =>
+  new AppError(message, 401, 'AUTH_007', true);
+
 // Validation Errors (VALIDATION_*)
 AppError.INVALID_EMAIL = (message = 'Invalid email format') =>
   new AppError(message, 400, 'VALIDATION_001', true);
@@ -108,6 +111,30 @@ AppError.PRODUCT_NOT_FOUND = (message = 'Product not found') =>
 AppError.RESET_TOKEN_NOT_FOUND = (message = 'Password reset token not found or expired') =>
   new AppError(message, 404, 'NOT_FOUND_004', true);
 
+AppError.ITEM_REQUEST_NOT_FOUND = (message = 'Item request not found') =>
+  new AppError(message, 404, 'NOT_FOUND_005', true);
+
+AppError.MEMBERSHIP_NOT_FOUND = (message = 'This user is not a member of the store') =>
+  new AppError(message, 404, 'NOT_FOUND_006', true);
+
+AppError.INVITATION_NOT_FOUND = (message = 'Invitation not found or expired') =>
+  new AppError(message, 404, 'NOT_FOUND_007', true);
+
+AppError.VERIFICATION_TOKEN_NOT_FOUND = (message = 'Verification link is invalid or has expired') =>
+  new AppError(message, 404, 'NOT_FOUND_008', true);
+
+AppError.SESSION_NOT_FOUND = (message = 'Session not found') =>
+  new AppError(message, 404, 'NOT_FOUND_009', true);
+
+AppError.MAGIC_LINK_NOT_FOUND = (message = 'Sign-in link is invalid, already used or expired') =>
+  new AppError(message, 404, 'NOT_FOUND_010', true);
+
+AppError.API_KEY_NOT_FOUND = (message = 'API key not found') =>
+  new AppError(message, 404, 'NOT_FOUND_011', true);
+
+AppError.IMAGE_NOT_FOUND = (message = 'Image not found') =>
+  new AppError(message, 404, 'NOT_FOUND_012', true);
+
 // Permission/Authorization Errors (FORBIDDEN_*)
 AppError.INSUFFICIENT_PERMISSIONS = (message = 'You do not have permission to access this resource') =>
   new AppError(message, 403, 'FORBIDDEN_001', true);
@@ -121,6 +148,16 @@ AppError.STORE_NOT_OWNED_BY_USER = (message = 'You do not own this store') =>
 AppError.PRODUCT_NOT_IN_STORE = (message = 'Product does not belong to your store') =>
   new AppError(message, 403, 'FORBIDDEN_004', true);
 
+AppError.EMAIL_NOT_VERIFIED = (message = 'Please verify your email address first') =>
+  new AppError(message, 403, 'FORBIDDEN_005', true);
+
+// Conflict Errors (CONFLICT_*)
+AppError.STORE_ARCHIVED = (message = 'This store has been archived') =>
+  new AppError(message, 409, 'CONFLICT_001', true);
+
+AppError.INSUFFICIENT_STOCK = (message = 'Not enough of this item left') =>
+  new AppError(message, 409, 'CONFLICT_004', true);
+
 // Rate Limiting Errors (RATE_LIMIT_*)
 AppError.RATE_LIMIT_EXCEEDED = (message = 'Too many requests. Please try again later') =>
   new AppError(message, 429, 'RATE_LIMIT_001', true);
@@ -0,0 +1,41 @@
+/**
+ * Email verification links
+ * Used at registration and when a user changes their email address.
+ */
+
+const sendEmail = require('./sendEmail');
+const { createHashedToken } = require('./tokens');
+const { escapeHtml } = require('./sanitizers');
+
+const VERIFICATION_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+/**
+ * Issue a fresh verification token, save the user and email the link
+ * Any earlier link stops working. When the user has a pendingEmail the link
+ * goes there, since that's the address being proven.
+ * @param {Object} user - User document
+ */
+async function sendVerificationEmail(user) {
+  const { token, tokenHash } = createHashedToken();
+
+  user.emailVerificationToken = tokenHash;
+  user.emailVerificationExpires = Date.now() + VERIFICATION_TTL_MS;
+  await user.save();
+
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email?token=${token}`;
+
+  await sendEmail({
+    to: user.pendingEmail || user.email,
+    subject: "Verify your email",
+    html: `
+      <h3>Verify your email</h3>
+      <p>Hi ${escapeHtml(user.displayName)}, please confirm this is your email address.</p>
+      <p>This link expires in 24 hours.</p>
+      <a href="${verifyUrl}">${verifyUrl}</a>
+    `,
+  });
+}
+
+module.exports = {
+  sendVerificationEmail,
+};
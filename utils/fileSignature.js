@@ -0,0 +1,62 @@
+/**
+ * File type detection from content ("magic bytes")
+ * The client controls both the Content-Type of an upload and its file name,
+ * so neither says anything about what the bytes actually are.
+ */
+
+const fs = require('fs');
+
+// Enough bytes to recognise every supported format
+const SIGNATURE_LENGTH = 12;
+
+const IMAGE_SIGNATURES = [
+  { mime: 'image/jpeg', ext: '.jpg', matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    mime: 'image/png',
+    ext: '.png',
+    matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    mime: 'image/gif',
+    ext: '.gif',
+    matches: (b) => ['GIF87a', 'GIF89a'].includes(b.toString('ascii', 0, 6)),
+  },
+  {
+    mime: 'image/webp',
+    ext: '.webp',
+    matches: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP',
+  },
+];
+
+/**
+ * Detect a supported image type from the start of a buffer
+ * @param {Buffer} buffer
+ * @returns {Object|null} - { mime, ext }, or null if not a supported image
+ */
+function detectImageType(buffer) {
+  if (!buffer || buffer.length < SIGNATURE_LENGTH) return null;
+
+  const match = IMAGE_SIGNATURES.find((sig) => sig.matches(buffer));
+  return match ? { mime: match.mime, ext: match.ext } : null;
+}
+
+/**
+ * Detect a supported image type from a file on disk
+ * @param {string} filePath
+ * @returns {Promise<Object|null>} - { mime, ext }, or null if not a supported image
+ */
+async function detectImageFileType(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SIGNATURE_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, SIGNATURE_LENGTH, 0);
+    return detectImageType(buffer.subarray(0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  detectImageType,
+  detectImageFileType,
+};
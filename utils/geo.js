@@ -0,0 +1,104 @@
+/**
+ * Geo helpers
+ * Builds MongoDB geo filters for the map endpoints
+ */
+
+// Web Mercator can't display anything past ~85° and polygon vertices at the
+// poles collapse into duplicates, so viewport latitudes are clamped to this
+const MAX_MERCATOR_LAT = 85.05112878;
+
+// MongoDB rejects polygons larger than a hemisphere; keep each slice well under
+const MAX_SLICE_LNG = 90;
+
+// Polygon edges are great circles, so horizontal edges are split into short
+// segments to approximately follow the line of latitude
+const EDGE_STEP_DEG = 2;
+
+const clampLat = (lat) => Math.max(-MAX_MERCATOR_LAT, Math.min(MAX_MERCATOR_LAT, lat));
+
+/**
+ * Build a closed GeoJSON ring for a lat/lng rectangle that doesn't cross the antimeridian
+ * @param {number} south
+ * @param {number} west
+ * @param {number} north
+ * @param {number} east
+ * @returns {Array} - Ring of [lng, lat] pairs
+ */
+function buildRectangleRing(south, west, north, east) {
+  const steps = Math.max(1, Math.ceil((east - west) / EDGE_STEP_DEG));
+  const lngStep = (east - west) / steps;
+  const ring = [];
+
+  // south edge west -> east, then north edge east -> west
+  for (let i = 0; i <= steps; i++) ring.push([west + i * lngStep, south]);
+  for (let i = steps; i >= 0; i--) ring.push([west + i * lngStep, north]);
+
+  ring.push(ring[0]);
+  return ring;
+}
+
+/**
+ * Split a longitude range into slices no wider than MAX_SLICE_LNG
+ * Handles viewports that cross the antimeridian (west > east)
+ * @param {number} west
+ * @param {number} east
+ * @returns {Array} - [[west, east], ...]
+ */
+function splitLongitudeRange(west, east) {
+  const ranges = west <= east ? [[west, east]] : [[west, 180], [-180, east]];
+  const slices = [];
+
+  for (const [from, to] of ranges) {
+    for (let start = from; start < to; start += MAX_SLICE_LNG) {
+      slices.push([start, Math.min(start + MAX_SLICE_LNG, to)]);
+    }
+  }
+
+  return slices;
+}
+
+/**
+ * Build a filter matching documents whose geo point lies inside a bounding box
+ * Uses $geoWithin/$geometry so the geo 2dsphere index is used
+ * @param {Object} bbox - { swLat, swLng, neLat, neLng }
+ * @param {string} field - Geo field name (default 'geo')
+ * @returns {Object|null} - Mongoose filter, or null when nothing can match:
+ *   the box lies entirely beyond the Mercator limit or has no width (e.g.
+ *   west 180, east -180, the same meridian), so its polygon would be degenerate
+ */
+function buildBoundingBoxFilter({ swLat, swLng, neLat, neLng }, field = 'geo') {
+  const south = clampLat(swLat);
+  const north = clampLat(neLat);
+
+  if (south >= north) return null;
+
+  const clauses = splitLongitudeRange(swLng, neLng).map(([west, east]) => ({
+    [field]: {
+      $geoWithin: {
+        $geometry: {
+          type: 'Polygon',
+          coordinates: [buildRectangleRing(south, west, north, east)],
+        },
+      },
+    },
+  }));
+
+  if (!clauses.length) return null;
+  return clauses.length === 1 ? clauses[0] : { $or: clauses };
+}
+
+/**
+ * Size in degrees of the clustering grid cell for a map zoom level
+ * A 256px tile spans 360 / 2^zoom degrees; splitting it into 4 gives ~64px cells
+ * @param {number} zoom - Map zoom level (0-22)
+ * @returns {number} - Cell size in degrees
+ */
+function getClusterCellSize(zoom) {
+  const CELLS_PER_TILE = 4;
+  return 360 / (Math.pow(2, zoom) * CELLS_PER_TILE);
+}
+
+module.exports = {
+  buildBoundingBoxFilter,
+  getClusterCellSize,
+};
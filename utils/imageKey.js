@@ -0,0 +1,19 @@
+/**
+ * Storage key of an image URL
+ * Stores and products save the full image URL, but its host depends on where
+ * it was uploaded from (local driver) or on S3_PUBLIC_URL, so uploaded images
+ * are matched to their users by the key (the last path segment) instead.
+ */
+
+/**
+ * @param {string} url - Image URL as saved on a store or product
+ * @returns {string|null} - Storage key, or null if there's no URL
+ */
+function getImageKey(url) {
+  if (typeof url !== 'string') return null;
+
+  const path = url.trim().split(/[?#]/)[0];
+  return path.slice(path.lastIndexOf('/') + 1) || null;
+}
+
+module.exports = { getImageKey };
@@ -0,0 +1,106 @@
+/**
+ * Image processing for uploads
+ * Every upload is re-encoded into fixed-size variants instead of serving the
+ * original: phones send multi-megabyte photos that are mostly shown as
+ * thumbnails, and originals carry EXIF data (including GPS position).
+ *
+ * Re-encoding drops all metadata (sharp only keeps it when asked to), after
+ * the EXIF orientation has been applied to the pixels.
+ */
+
+const sharp = require('sharp');
+const { AppError } = require('./appError');
+
+// Longest edge in pixels; smaller images are never enlarged
+const VARIANT_SIZES = {
+  thumb: 200,
+  medium: 800,
+  large: 1600,
+};
+
+// sharp's name for each detected upload type (see utils/fileSignature)
+const SHARP_FORMATS = {
+  'image/jpeg': 'jpeg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+const JPEG_QUALITY = 80;
+const WEBP_QUALITY = 75;
+
+/**
+ * Resize one variant and encode it in the fallback format and as WebP
+ * @param {Object} image - sharp instance (already auto-oriented)
+ * @param {number} size - Longest edge
+ * @param {boolean} hasAlpha - Keep transparency (PNG instead of JPEG)
+ * @returns {Promise<Object>} - { fallback, webp, width, height }; each
+ *   output is { buffer, ext, contentType }
+ */
+async function encodeVariant(image, size, hasAlpha) {
+  const resized = image.clone().resize({
+    width: size,
+    height: size,
+    fit: 'inside',
+    withoutEnlargement: true,
+  });
+
+  const fallback = hasAlpha
+    ? resized.clone().png({ compressionLevel: 9 })
+    : resized.clone().flatten({ background: '#ffffff' }).jpeg({ quality: JPEG_QUALITY, mozjpeg: true });
+
+  const [encoded, webp] = await Promise.all([
+    fallback.toBuffer({ resolveWithObject: true }),
+    resized.clone().webp({ quality: WEBP_QUALITY }).toBuffer(),
+  ]);
+
+  return {
+    fallback: hasAlpha
+      ? { buffer: encoded.data, ext: '.png', contentType: 'image/png' }
+      : { buffer: encoded.data, ext: '.jpg', contentType: 'image/jpeg' },
+    webp: { buffer: webp, ext: '.webp', contentType: 'image/webp' },
+    width: encoded.info.width,
+    height: encoded.info.height,
+  };
+}
+
+/**
+ * Generate every variant of an uploaded image, in memory
+ * The caller decides where they are stored (see storage/).
+ * @param {string} inputPath - Uploaded original
+ * @param {Object} type - Type detected from the file's signature ({ mime, ext })
+ * @returns {Promise<Object>} - { thumb: { fallback, webp, width, height }, medium, large }
+ */
+async function processImage(inputPath, type) {
+  let metadata;
+  try {
+    metadata = await sharp(inputPath).metadata();
+  } catch (err) {
+    throw new AppError('The uploaded file could not be read as an image', 400, 'FILE_004', true);
+  }
+
+  // The decoder must agree with the signature, so a file crafted to look
+  // like one format can't be decoded as another
+  if (metadata.format !== SHARP_FORMATS[type?.mime]) {
+    throw new AppError('The uploaded file could not be read as an image', 400, 'FILE_004', true);
+  }
+
+  // Orientation is applied here; the re-encoded output carries no EXIF
+  const image = sharp(inputPath, { failOn: 'error' }).rotate();
+  const variants = {};
+
+  try {
+    for (const [name, size] of Object.entries(VARIANT_SIZES)) {
+      variants[name] = await encodeVariant(image, size, Boolean(metadata.hasAlpha));
+    }
+  } catch (err) {
+    throw new AppError('The uploaded file could not be read as an image', 400, 'FILE_004', true);
+  }
+
+  return variants;
+}
+
+module.exports = {
+  VARIANT_SIZES,
+  processImage,
+};
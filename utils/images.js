@@ -0,0 +1,136 @@
+/**
+ * Uploaded image helpers
+ * Stores and products keep a plain image URL, so an uploaded Image is in use
+ * while any Store or Product imageKey equals one of its storage keys.
+ */
+
+const mongoose = require('mongoose');
+const { storage } = require('../storage');
+const logger = require('./logger');
+const Image = require('../models/image');
+const Store = require('../models/store');
+const Product = require('../models/product');
+
+/**
+ * Find the stores and products using each image
+ * @param {Array} images - Image documents (or lean objects) with keys
+ * @returns {Promise<Map>} - image _id (string) -> [{ kind, id }]
+ */
+async function findImageReferences(images) {
+  const imageIdByKey = new Map();
+  for (const image of images) {
+    for (const key of image.keys || []) {
+      imageIdByKey.set(key, String(image._id));
+    }
+  }
+
+  const keys = [...imageIdByKey.keys()];
+  const references = new Map(images.map((image) => [String(image._id), []]));
+  if (!keys.length) return references;
+
+  const [stores, products] = await Promise.all([
+    Store.find({ imageKey: { $in: keys } }).select('_id imageKey').lean(),
+    Product.find({ imageKey: { $in: keys } }).select('_id imageKey').lean(),
+  ]);
+
+  for (const [kind, docs] of [['Store', stores], ['Product', products]]) {
+    for (const doc of docs) {
+      references.get(imageIdByKey.get(doc.imageKey)).push({ kind, id: doc._id });
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Recompute and save one image's references
+ * @param {Object} image - Image document
+ * @returns {Promise<Array>} - [{ kind, id }]
+ */
+async function refreshImageReferences(image) {
+  const references = (await findImageReferences([image])).get(String(image._id));
+
+  image.references = references;
+  image.referencesCheckedAt = new Date();
+  if (references.length) {
+    image.unreferencedSince = null;
+  } else if (!image.unreferencedSince) {
+    image.unreferencedSince = new Date();
+  }
+
+  await image.save();
+  return references;
+}
+
+/**
+ * Delete an image's record, then its stored files
+ * The record goes first, and only if it still matches `guard`, so an image
+ * that was re-uploaded (claimed again) in the meantime survives.
+ * @param {Object} image - Image document
+ * @param {Object} guard - Extra conditions the record must still meet
+ * @returns {Promise<boolean>} - false if the record no longer matched
+ */
+async function deleteImage(image, guard = {}) {
+  const { deletedCount } = await Image.deleteOne({ _id: image._id, ...guard });
+  if (!deletedCount) return false;
+
+  const results = await Promise.allSettled(image.keys.map((key) => storage.delete(key)));
+  const failedKeys = image.keys.filter((key, i) => results[i].status === 'rejected');
+  if (failedKeys.length) {
+    // Nothing tracks these files any more; log them so they can be removed by hand
+    logger.error('IMAGE_FILE_DELETE_FAILED', { imageId: String(image._id), keys: failedKeys });
+  }
+
+  return true;
+}
+
+/**
+ * Add an uploader to an existing image (a re-upload of the same file)
+ * A user who already holds the image isn't added twice. An unused image
+ * gets a fresh grace period in the same write, so neither the sweep nor
+ * another uploader's delete can remove it from under them afterwards.
+ * @param {Object} image - Image document
+ * @param {string} userId
+ * @returns {Promise<Object|null>} - Updated image, or null if it was deleted
+ *   in the meantime (store a fresh copy instead)
+ */
+async function claimImage(image, userId) {
+  return Image.findOneAndUpdate(
+    { _id: image._id },
+    [
+      {
+        $set: {
+          // Pipelines aren't cast by Mongoose
+          uploaderIds: { $setUnion: ['$uploaderIds', [new mongoose.Types.ObjectId(String(userId))]] },
+          unreferencedSince: { $cond: [{ $eq: ['$unreferencedSince', null] }, null, '$$NOW'] },
+        },
+      },
+      // Counted from the updated list, so a repeat claim doesn't count twice
+      { $set: { refCount: { $size: '$uploaderIds' } } },
+    ],
+    { new: true, updatePipeline: true }
+  );
+}
+
+/**
+ * Remove an uploader's hold on an image
+ * @param {Object} image - Image document
+ * @param {string} userId
+ * @returns {Promise<Object|null>} - Updated image, or null if they didn't hold it
+ */
+async function releaseImage(image, userId) {
+  return Image.findOneAndUpdate(
+    { _id: image._id, uploaderIds: userId },
+    // The filter guarantees they were on the list, so the count stays in step
+    { $pull: { uploaderIds: userId }, $inc: { refCount: -1 } },
+    { new: true }
+  );
+}
+
+module.exports = {
+  findImageReferences,
+  refreshImageReferences,
+  deleteImage,
+  claimImage,
+  releaseImage,
+};
@@ -0,0 +1,180 @@
+/**
+ * Inventory ledger
+ * Every product quantity change goes through these helpers so it is applied
+ * atomically and recorded as an InventoryTransaction. The product write and
+ * its ledger rows share one transaction: either both land or neither does.
+ */
+
+const mongoose = require('mongoose');
+const Product = require('../models/product');
+const InventoryTransaction = require('../models/inventoryTransaction');
+const { AppError } = require('./appError');
+const { checkStockAlert } = require('./stockAlerts');
+const { runInTransaction } = require('./transactions');
+
+// Attempts for setQuantity before giving up on a concurrently changing product
+const MAX_SET_ATTEMPTS = 3;
+
+/**
+ * Post-change hook for every quantity write path
+ * Alerts are sent in the background so the request isn't held up by email
+ * @param {Object} product - Product after the change
+ */
+function afterQuantityChange(product) {
+  checkStockAlert(product);
+}
+
+/**
+ * Write the ledger entry for a change that has already been applied
+ * Products created before the ledger existed have no entries yet; their
+ * pre-change quantity is recorded first as an opening balance so the ledger
+ * still sums to the current quantity.
+ * @param {Object} product - Product after the change
+ * @param {number} delta - Applied change
+ * @param {Object} meta - { reason, actorId, visitorHash, note }
+ * @param {Object} session - Transaction the change was applied in
+ */
+async function recordTransaction(product, delta, { reason, actorId = null, visitorHash, note }, session) {
+  const quantityBefore = product.quantity - delta;
+
+  const hasHistory = await InventoryTransaction.exists({ productId: product._id }).session(session);
+  if (!hasHistory && quantityBefore !== 0) {
+    await InventoryTransaction.create([{
+      productId: product._id,
+      storeId: product.storeId,
+      delta: quantityBefore,
+      quantityAfter: quantityBefore,
+      reason: 'correction',
+      note: 'Opening balance',
+    }], { session });
+  }
+
+  await InventoryTransaction.create([{
+    productId: product._id,
+    storeId: product.storeId,
+    delta,
+    quantityAfter: product.quantity,
+    reason,
+    actorId,
+    visitorHash,
+    note,
+  }], { session });
+}
+
+/**
+ * Create a product and record its starting stock
+ * @param {Object} fields - Product fields
+ * @param {Object} meta - { actorId }
+ * @returns {Promise<Object>} - Created product
+ */
+async function createProductWithStock(fields, { actorId = null } = {}) {
+  const product = await runInTransaction(async (session) => {
+    const [created] = await Product.create([fields], { session });
+
+    if (created.quantity) {
+      await InventoryTransaction.create([{
+        productId: created._id,
+        storeId: created.storeId,
+        delta: created.quantity,
+        quantityAfter: created.quantity,
+        reason: 'restock',
+        actorId,
+        note: 'Initial stock',
+      }], { session });
+    }
+
+    return created;
+  });
+
+  // A product can start out at or below its threshold
+  afterQuantityChange(product);
+  return product;
+}
+
+/**
+ * Atomically add (or remove, with a negative delta) stock
+ * The update only matches while enough stock remains, so quantity never goes below 0.
+ * @param {string} productId
+ * @param {number} delta - Non-zero integer
+ * @param {Object} meta - { reason, actorId, visitorHash, note }
+ * @returns {Promise<Object|null>} - Updated product, or null if not found / not enough stock
+ */
+async function adjustQuantity(productId, delta, meta) {
+  const product = await runInTransaction(async (session) => {
+    const updated = await Product.findOneAndUpdate(
+      { _id: productId, quantity: { $gte: Math.max(0, -delta) } },
+      { $inc: { quantity: delta } },
+      { new: true, runValidators: true, session }
+    );
+
+    if (updated) {
+      await recordTransaction(updated, delta, meta, session);
+    }
+    return updated;
+  });
+
+  if (!product) return null;
+
+  afterQuantityChange(product);
+  return product;
+}
+
+/**
+ * Set stock to an absolute value (owner edits)
+ * Uses compare-and-set on the current quantity so concurrent changes (e.g. a
+ * visitor taking an item) are never silently overwritten in the ledger.
+ * @param {string} productId
+ * @param {number} quantity - New quantity (>= 0)
+ * @param {Object} meta - { reason, actorId, note }
+ * @returns {Promise<Object|null>} - Updated product, or null if not found
+ */
+async function setQuantity(productId, quantity, meta) {
+  for (let attempt = 0; attempt < MAX_SET_ATTEMPTS; attempt++) {
+    const current = await Product.findById(productId);
+    if (!current) return null;
+
+    const delta = quantity - current.quantity;
+    if (delta === 0) return current;
+
+    const product = await runInTransaction(async (session) => {
+      const updated = await Product.findOneAndUpdate(
+        { _id: productId, quantity: current.quantity },
+        { $set: { quantity } },
+        { new: true, runValidators: true, session }
+      );
+
+      if (updated) {
+        await recordTransaction(updated, delta, meta, session);
+      }
+      return updated;
+    });
+
+    if (product) {
+      afterQuantityChange(product);
+      return product;
+    }
+  }
+
+  throw new AppError('Quantity changed while saving. Please try again', 409, 'CONFLICT_003', true);
+}
+
+/**
+ * Sum of all ledger deltas for a product (should equal its quantity)
+ * @param {string} productId
+ * @returns {Promise<number>}
+ */
+async function getLedgerBalance(productId) {
+  const [result] = await InventoryTransaction.aggregate([
+    { $match: { productId: new mongoose.Types.ObjectId(String(productId)) } },
+    { $group: { _id: null, balance: { $sum: '$delta' } } },
+  ]);
+
+  return result?.balance || 0;
+}
+
+module.exports = {
+  createProductWithStock,
+  adjustQuantity,
+  setQuantity,
+  getLedgerBalance,
+};
@@ -0,0 +1,95 @@
+/**
+ * Opening hours helpers
+ * Stores keep weekly hours as local "HH:MM" strings plus a timezone, so
+ * "open now" is evaluated by converting the current instant into each
+ * timezone's local date, weekday and time.
+ */
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Check whether a string is a timezone the runtime understands (IANA name)
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Convert an instant into the local date, weekday and time of a timezone
+ * @param {Date} date - The instant to convert
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} - { date: 'YYYY-MM-DD', day: 0-6 (Sunday = 0), time: 'HH:MM' }
+ */
+function getLocalDateTime(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+
+  const get = (type) => parts.find((p) => p.type === type).value;
+
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    day: WEEKDAYS.indexOf(get('weekday')),
+    time: `${get('hour')}:${get('minute')}`,
+  };
+}
+
+/**
+ * Build a Store filter matching stores that are open at a given instant
+ * An exception for the local date replaces that day's weekly hours entirely.
+ * Stores without hours are never considered open.
+ * Each $or clause starts with an equality on hours.timezone so the query
+ * stays index-backed (required when combined with $text).
+ * @param {Array<string>} timeZones - Distinct timezones used by stores
+ * @param {Date} now - Instant to evaluate (default: current time)
+ * @returns {Object} - Mongoose filter
+ */
+function buildOpenNowFilter(timeZones, now = new Date()) {
+  const clauses = [];
+
+  for (const timeZone of timeZones) {
+    if (!timeZone || !isValidTimeZone(timeZone)) continue;
+
+    const { date, day, time } = getLocalDateTime(now, timeZone);
+
+    // Regular weekly hours, as long as there is no exception for today
+    clauses.push({
+      'hours.timezone': timeZone,
+      'hours.exceptions.date': { $ne: date },
+      'hours.weekly': {
+        $elemMatch: { day, open: { $lte: time }, close: { $gt: time } },
+      },
+    });
+
+    // Special hours for today
+    clauses.push({
+      'hours.timezone': timeZone,
+      'hours.exceptions': {
+        $elemMatch: { date, closed: { $ne: true }, open: { $lte: time }, close: { $gt: time } },
+      },
+    });
+  }
+
+  // No store has usable hours: match nothing rather than everything
+  return clauses.length ? { $or: clauses } : { _id: { $in: [] } };
+}
+
+module.exports = {
+  isValidTimeZone,
+  getLocalDateTime,
+  buildOpenNowFilter,
+};
@@ -0,0 +1,41 @@
+/**
+ * Role-based permissions
+ * Roles are stored on the User; each maps to a fixed set of permissions.
+ * Check permissions (not role names) in code so roles can be reshaped here.
+ */
+
+const ROLES = ['user', 'store_manager', 'moderator', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  // Anyone signed in; becomes store_manager after creating a store
+  user: ['stores:create'],
+  store_manager: ['stores:create'],
+  // Community moderation: archive abusive stores, handle any needs list
+  moderator: ['stores:create', 'stores:moderate', 'requests:moderate'],
+  // Full control regardless of ownership
+  admin: [
+    'stores:create',
+    'stores:moderate',
+    'requests:moderate',
+    'stores:manage_any',
+    'products:manage_any',
+    'users:manage',
+  ],
+};
+
+/**
+ * Check whether a user has a permission through their role
+ * @param {Object} user - req.user ({ role })
+ * @param {string} permission - e.g. 'stores:manage_any'
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  const permissions = ROLE_PERMISSIONS[user?.role] || [];
+  return permissions.includes(permission);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+};
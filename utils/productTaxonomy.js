@@ -0,0 +1,73 @@
+/**
+ * Product taxonomy
+ * Managed list of product categories and dietary/allergen tags.
+ * Slugs are what gets stored on products and accepted by the API; labels are
+ * for display. Add new entries here rather than accepting free-form values so
+ * search facets stay meaningful.
+ */
+
+const PRODUCT_CATEGORIES = [
+  { slug: 'canned-goods', label: 'Canned goods' },
+  { slug: 'dry-goods', label: 'Pasta, rice & dry goods' },
+  { slug: 'breakfast', label: 'Cereal & breakfast' },
+  { slug: 'produce', label: 'Fresh produce' },
+  { slug: 'dairy-eggs', label: 'Dairy & eggs' },
+  { slug: 'meat-protein', label: 'Meat & protein' },
+  { slug: 'bread-bakery', label: 'Bread & bakery' },
+  { slug: 'frozen', label: 'Frozen food' },
+  { slug: 'snacks', label: 'Snacks' },
+  { slug: 'beverages', label: 'Beverages' },
+  { slug: 'baby', label: 'Baby food & formula' },
+  { slug: 'personal-care', label: 'Personal care & hygiene' },
+  { slug: 'household', label: 'Household supplies' },
+  { slug: 'pet', label: 'Pet food' },
+  { slug: 'other', label: 'Other' },
+];
+
+const DIETARY_TAGS = [
+  { slug: 'gluten-free', label: 'Gluten-free' },
+  { slug: 'dairy-free', label: 'Dairy-free' },
+  { slug: 'vegetarian', label: 'Vegetarian' },
+  { slug: 'vegan', label: 'Vegan' },
+  { slug: 'halal', label: 'Halal' },
+  { slug: 'kosher', label: 'Kosher' },
+  { slug: 'low-sodium', label: 'Low sodium' },
+  { slug: 'low-sugar', label: 'Low sugar' },
+];
+
+const ALLERGEN_TAGS = [
+  { slug: 'contains-peanuts', label: 'Contains peanuts' },
+  { slug: 'contains-tree-nuts', label: 'Contains tree nuts' },
+  { slug: 'contains-milk', label: 'Contains milk' },
+  { slug: 'contains-eggs', label: 'Contains eggs' },
+  { slug: 'contains-wheat', label: 'Contains wheat' },
+  { slug: 'contains-soy', label: 'Contains soy' },
+  { slug: 'contains-fish', label: 'Contains fish' },
+  { slug: 'contains-shellfish', label: 'Contains shellfish' },
+  { slug: 'contains-sesame', label: 'Contains sesame' },
+];
+
+const CATEGORY_SLUGS = PRODUCT_CATEGORIES.map((c) => c.slug);
+const TAG_SLUGS = [...DIETARY_TAGS, ...ALLERGEN_TAGS].map((t) => t.slug);
+
+const labels = new Map(
+  [...PRODUCT_CATEGORIES, ...DIETARY_TAGS, ...ALLERGEN_TAGS].map((entry) => [entry.slug, entry.label])
+);
+
+/**
+ * Look up the display label for a category or tag slug
+ * @param {string} slug
+ * @returns {string} - Label, or the slug itself if unknown
+ */
+function getTaxonomyLabel(slug) {
+  return labels.get(slug) || slug;
+}
+
+module.exports = {
+  PRODUCT_CATEGORIES,
+  DIETARY_TAGS,
+  ALLERGEN_TAGS,
+  CATEGORY_SLUGS,
+  TAG_SLUGS,
+  getTaxonomyLabel,
+};
@@ -0,0 +1,185 @@
+/**
+ * Refresh token sessions
+ * Each entry in User.refreshTokens is one signed-in device and one token
+ * family: the entry's _id is the family id (fid) carried in every refresh
+ * token issued for it. Only a hash of the current token is stored.
+ *
+ * Rotation replaces the hash in place. A token that verifies but doesn't
+ * match its family's current hash was already rotated, i.e. someone is
+ * replaying an old token, so the whole family is revoked.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { AppError } = require('./appError');
+const { hashToken } = require('./tokens');
+
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const REFRESH_TOKEN_PURPOSE = 'refresh';
+
+function getRefreshSecret() {
+  const secret = process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new AppError('JWT_REFRESH_SECRET is not set in environment variables', 500, 'CONFIG_001', false);
+  }
+  return secret;
+}
+
+/**
+ * Sign a refresh token for a session (7 days)
+ * jti makes every token unique, even when issued in the same second.
+ * purpose keeps it from being accepted as an access token (see authMiddleware),
+ * which matters when JWT_REFRESH_SECRET falls back to JWT_SECRET.
+ * @param {string} userId
+ * @param {string} familyId - Session _id
+ * @returns {string}
+ */
+function signRefreshToken(userId, familyId) {
+  return jwt.sign(
+    {
+      userId: String(userId),
+      fid: String(familyId),
+      jti: crypto.randomBytes(16).toString('hex'),
+      purpose: REFRESH_TOKEN_PURPOSE,
+    },
+    getRefreshSecret(),
+    { expiresIn: '7d' }
+  );
+}
+
+/**
+ * Verify a refresh token's signature and expiry
+ * @param {string} token
+ * @returns {Object|null} - Decoded payload, or null if invalid or not a refresh token
+ */
+function verifyRefreshToken(token) {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getRefreshSecret());
+  } catch (err) {
+    return null;
+  }
+
+  if (decoded.purpose !== REFRESH_TOKEN_PURPOSE || !decoded.fid) {
+    return null;
+  }
+
+  return decoded;
+}
+
+/**
+ * Device metadata recorded with each session
+ * @param {Object} req - Express request
+ * @returns {Object} - { userAgent, ipAddress }
+ */
+function getDeviceInfo(req) {
+  return {
+    userAgent: (req.get('user-agent') || '').slice(0, 300),
+    ipAddress: req.ip,
+  };
+}
+
+/**
+ * Drop expired sessions, and entries from before tokens were hashed
+ * @param {Object} user - User document
+ */
+function pruneSessions(user) {
+  user.refreshTokens = (user.refreshTokens || []).filter(
+    (t) => t.tokenHash && t.expiresAt > Date.now()
+  );
+}
+
+/**
+ * Start a new session (token family) and save the user
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - { refreshToken, sessionId }
+ */
+async function createSession(user, req) {
+  // Prune before pushing so the array doesn't grow unboundedly for users
+  // who never explicitly log out
+  pruneSessions(user);
+
+  // The family id is the new entry's _id
+  const familyId = new mongoose.Types.ObjectId();
+  const refreshToken = signRefreshToken(user._id, familyId);
+
+  user.refreshTokens.push({
+    _id: familyId,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    lastUsedAt: new Date(),
+    ...getDeviceInfo(req),
+  });
+
+  await user.save();
+  return { refreshToken, sessionId: familyId };
+}
+
+/**
+ * Swap a session's refresh token for a new one in the same family and save
+ * The session keeps its id and createdAt so it stays the same device
+ * @param {Object} user - User document
+ * @param {Object} session - Entry from user.refreshTokens
+ * @param {Object} req - Express request
+ * @returns {Promise<string>} - New refresh token
+ */
+async function rotateSession(user, session, req) {
+  const refreshToken = signRefreshToken(user._id, session._id);
+
+  session.tokenHash = hashToken(refreshToken);
+  session.expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+  session.lastUsedAt = new Date();
+  Object.assign(session, getDeviceInfo(req));
+
+  pruneSessions(user);
+
+  await user.save();
+  return refreshToken;
+}
+
+/**
+ * Find the session a refresh token belongs to
+ * @param {Object} user - User document
+ * @param {string} token - Raw refresh token
+ * @param {Object} decoded - Verified payload of the token
+ * @returns {Object} - { session, reused, family }: reused means the token
+ *   belongs to a live family but was already rotated
+ */
+function findSession(user, token, decoded) {
+  const family = (user.refreshTokens || []).find(
+    (t) => String(t._id) === String(decoded.fid) && t.expiresAt > Date.now()
+  );
+
+  if (!family || !family.tokenHash) return { session: null, reused: false };
+  if (family.tokenHash !== hashToken(token)) return { session: null, reused: true, family };
+
+  return { session: family, reused: false };
+}
+
+/**
+ * Id of the live session the request's access token was issued for (if any)
+ * Works the same for cookie and bearer clients; authMiddleware copies the
+ * token's sid to req.user.sessionId.
+ * @param {Object} user - User document
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function getCurrentSessionId(user, req) {
+  const sessionId = req.user?.sessionId;
+  if (!sessionId) return null;
+
+  const live = (user.refreshTokens || []).some(
+    (t) => String(t._id) === sessionId && t.expiresAt > Date.now()
+  );
+  return live ? sessionId : null;
+}
+
+module.exports = {
+  verifyRefreshToken,
+  createSession,
+  rotateSession,
+  findSession,
+  getCurrentSessionId,
+};
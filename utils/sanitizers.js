@@ -16,6 +16,22 @@ function escapeRegex(str) {
   return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
 
+/**
+ * Escape a value for interpolation into HTML (e.g. email bodies)
+ * Names and other user-controlled text must never be trusted as markup
+ * @param {*} value - Value to escape (null/undefined become '')
+ * @returns {string} Escaped string safe for HTML text and attribute values
+ */
+function escapeHtml(value) {
+  if (value == null) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 function emptyToNull(s) {
   return s ? s : null;
 }
@@ -283,6 +299,7 @@ function sanitizeAuthRequest(body) {
 module.exports = {
   // Escape/encoding
   escapeRegex,
+  escapeHtml,
 
   // helper functions
   emptyToNull,
@@ -0,0 +1,102 @@
+/**
+ * Low-stock / out-of-stock alerts
+ * Evaluated after every quantity change. Owners opt in by setting a
+ * lowStockThreshold on the product or (as a default) on the store.
+ *
+ * De-duplication:
+ *  - a product's current stockAlertLevel only moves forward ok -> low -> out;
+ *    the owner is emailed when it gets worse, never when it recovers
+ *  - the level is claimed with a conditional update, so concurrent writes
+ *    can't send the same alert twice
+ *  - the same level is not re-sent within ALERT_COOLDOWN_MS, so a quantity
+ *    flapping around the threshold doesn't spam the owner
+ */
+
+const Product = require('../models/product');
+const Store = require('../models/store');
+const User = require('../models/user');
+const sendEmail = require('./sendEmail');
+const logger = require('./logger');
+const { escapeHtml } = require('./sanitizers');
+
+const ALERT_COOLDOWN_MS = 6 * 60 * 60 * 1000; // 6 hours
+
+const SEVERITY = { ok: 0, low: 1, out: 2 };
+
+/**
+ * Work out the alert level for a quantity
+ * @param {number} quantity
+ * @param {number|null} threshold - null means alerts are off
+ * @returns {string} - 'ok' | 'low' | 'out'
+ */
+function getStockLevel(quantity, threshold) {
+  if (threshold == null) return 'ok';
+  if (quantity === 0) return 'out';
+  return quantity <= threshold ? 'low' : 'ok';
+}
+
+async function notifyOwner(store, product, level) {
+  const owner = await User.findById(store.ownerId).select('email displayName').lean();
+  if (!owner) return;
+
+  const headline = level === 'out'
+    ? `${product.name} is out of stock`
+    : `${product.name} is running low (${product.quantity} left)`;
+
+  await sendEmail({
+    to: owner.email,
+    subject: `${store.name}: ${headline}`,
+    html: `
+      <h3>${escapeHtml(headline)}</h3>
+      <p>Hi ${escapeHtml(owner.displayName)}, an item at <strong>${escapeHtml(store.name)}</strong> needs restocking.</p>
+      <p>You're receiving this because a low-stock threshold is set for this item or store.</p>
+    `,
+  });
+}
+
+/**
+ * Re-evaluate a product's stock level and email the owner if it got worse
+ * Never throws: alert failures must not fail the write that triggered them.
+ * @param {Object} product - Product after the change
+ */
+async function checkStockAlert(product) {
+  try {
+    const store = await Store.findById(product.storeId)
+      .select('_id name ownerId lowStockThreshold archivedAt')
+      .lean();
+    if (!store || store.archivedAt) return;
+
+    const threshold = product.lowStockThreshold ?? store.lowStockThreshold ?? null;
+    const previousLevel = product.stockAlertLevel || 'ok';
+    const level = getStockLevel(product.quantity, threshold);
+
+    if (level === previousLevel) return;
+
+    const lastAlert = product.lastStockAlert || {};
+    const recentlySent = lastAlert.level === level
+      && lastAlert.at
+      && Date.now() - new Date(lastAlert.at).getTime() < ALERT_COOLDOWN_MS;
+    const shouldNotify = SEVERITY[level] > SEVERITY[previousLevel] && !recentlySent;
+
+    const update = { stockAlertLevel: level };
+    if (shouldNotify) update.lastStockAlert = { level, at: new Date() };
+
+    // Only the request that moves the level from previousLevel wins
+    const claimed = await Product.findOneAndUpdate(
+      { _id: product._id, stockAlertLevel: previousLevel === 'ok' ? { $in: ['ok', null] } : previousLevel },
+      { $set: update }
+    );
+
+    if (claimed && shouldNotify) {
+      await notifyOwner(store, product, level);
+      logger.info('STOCK_ALERT_SENT', { productId: String(product._id), storeId: String(store._id), level });
+    }
+  } catch (err) {
+    logger.error('STOCK_ALERT_FAILED', { productId: String(product._id), error: err.message });
+  }
+}
+
+module.exports = {
+  getStockLevel,
+  checkStockAlert,
+};
@@ -0,0 +1,109 @@
+/**
+ * Store access checks
+ * Single place for "may this user change this store?" so membership rules
+ * and staff overrides stay consistent across controllers.
+ *
+ * A user's store role comes from their StoreMembership. Store.ownerId is
+ * also honoured on its own so stores created before memberships existed
+ * keep working for their owner.
+ */
+
+const { AppError } = require('./appError');
+const { hasPermission } = require('./permissions');
+const StoreMembership = require('../models/storeMembership');
+
+// What each store role may do
+const STORE_ROLE_CAPABILITIES = {
+  owner: [
+    'store:update',
+    'store:archive',
+    'store:purge',
+    'store:transfer',
+    'members:manage',
+    'members:read',
+    'products:write',
+    'inventory:read',
+    'requests:manage',
+  ],
+  manager: [
+    'store:update',
+    'members:manage',
+    'members:read',
+    'products:write',
+    'inventory:read',
+    'requests:manage',
+  ],
+  contributor: ['members:read', 'products:write', 'inventory:read'],
+};
+
+/**
+ * Check whether the user is the store's owner of record
+ * @param {Object} store
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+function isStoreOwner(store, user) {
+  return Boolean(user && store.ownerId && String(store.ownerId) === String(user.userId));
+}
+
+/**
+ * Look up the user's role in a store
+ * @param {Object} store
+ * @param {Object} user - req.user
+ * @returns {Promise<string|null>} - 'owner' | 'manager' | 'contributor' | null
+ */
+async function getStoreRole(store, user) {
+  if (!user) return null;
+  if (isStoreOwner(store, user)) return 'owner';
+
+  const membership = await StoreMembership.findOne({ storeId: store._id, userId: user.userId })
+    .select('role')
+    .lean();
+
+  return membership?.role || null;
+}
+
+/**
+ * Check whether a store role grants a capability
+ * @param {string|null} role
+ * @param {string} capability - e.g. 'products:write'
+ * @returns {boolean}
+ */
+function storeRoleCan(role, capability) {
+  return (STORE_ROLE_CAPABILITIES[role] || []).includes(capability);
+}
+
+/**
+ * Throw unless the user's store role grants the capability or they hold the
+ * staff override permission
+ * @param {Object} store
+ * @param {Object} user - req.user
+ * @param {string} capability - Store capability needed (see STORE_ROLE_CAPABILITIES)
+ * @param {string} overridePermission - Permission that bypasses membership
+ * @returns {Promise<string|null>} - The user's store role (null for staff overrides)
+ */
+async function assertStoreAccess(store, user, capability, overridePermission = 'stores:manage_any') {
+  if (!user) {
+    throw AppError.UNAUTHORIZED();
+  }
+
+  const role = await getStoreRole(store, user);
+
+  if (storeRoleCan(role, capability) || hasPermission(user, overridePermission)) {
+    return role;
+  }
+
+  if (role) {
+    throw AppError.INSUFFICIENT_PERMISSIONS('Your role in this store does not allow this action');
+  }
+
+  throw AppError.STORE_NOT_OWNED_BY_USER();
+}
+
+module.exports = {
+  STORE_ROLE_CAPABILITIES,
+  isStoreOwner,
+  getStoreRole,
+  storeRoleCan,
+  assertStoreAccess,
+};
@@ -0,0 +1,70 @@
+/**
+ * Store lifecycle changes shared by store, member and account endpoints
+ */
+
+const Product = require('../models/product');
+const StoreMembership = require('../models/storeMembership');
+const User = require('../models/user');
+
+/**
+ * Archive a store and its live products
+ * Products share the store's archivedAt so a restore can tell them apart
+ * from products that were archived on their own
+ * @param {Object} store - Store document (not yet archived)
+ * @param {Object} options - { session: transaction to run in }
+ * @returns {Promise<number>} - Number of products archived
+ */
+async function archiveStore(store, { session } = {}) {
+  const archivedAt = new Date();
+  store.archivedAt = archivedAt;
+  await store.save({ session });
+
+  const { modifiedCount } = await Product.updateMany(
+    { storeId: store._id, archivedAt: null },
+    { archivedAt },
+    { session }
+  );
+
+  return modifiedCount;
+}
+
+/**
+ * Make an existing member the store's owner
+ * @param {Object} store - Store document
+ * @param {Object} membership - StoreMembership document of the new owner
+ * @param {Object} options - { keepPreviousOwner: demote the old owner to
+ *   manager (default) instead of dropping their membership,
+ *   session: transaction to run in }
+ * @returns {Promise<Object|null>} - Previous owner id
+ */
+async function transferStoreOwnership(store, membership, { keepPreviousOwner = true, session } = {}) {
+  const previousOwnerId = store.ownerId;
+
+  membership.role = 'owner';
+  await membership.save({ session });
+
+  store.ownerId = membership.userId;
+  await store.save({ session });
+
+  if (previousOwnerId) {
+    if (keepPreviousOwner) {
+      await StoreMembership.updateOne(
+        { storeId: store._id, userId: previousOwnerId },
+        { role: 'manager' },
+        { upsert: true, session }
+      );
+    } else {
+      await StoreMembership.deleteOne({ storeId: store._id, userId: previousOwnerId }, { session });
+    }
+  }
+
+  // Running a store makes a plain user a store manager
+  await User.updateOne({ _id: membership.userId, role: 'user' }, { role: 'store_manager' }, { session });
+
+  return previousOwnerId;
+}
+
+module.exports = {
+  archiveStore,
+  transferStoreOwnership,
+};
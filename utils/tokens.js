@@ -0,0 +1,31 @@
+/**
+ * One-time token helpers
+ * Raw tokens are sent to the user (email links); only their SHA-256 hash is
+ * stored, so a database leak doesn't expose usable tokens.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Hash a raw token for storage or lookup
+ * @param {string} token
+ * @returns {string} - hex digest
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Generate a random token and its hash
+ * @param {number} bytes - Random bytes (default 32)
+ * @returns {Object} - { token, tokenHash }
+ */
+function createHashedToken(bytes = 32) {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+}
+
+module.exports = {
+  hashToken,
+  createHashedToken,
+};
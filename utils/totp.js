@@ -0,0 +1,257 @@
+/**
+ * TOTP two-factor helpers (RFC 6238 / RFC 4226)
+ * Works with any authenticator app: SHA-1, 6 digits, 30 second steps.
+ *
+ * Secrets are stored encrypted (AES-256-GCM) with TOTP_ENCRYPTION_KEY so a
+ * database leak alone can't be used to generate codes. The key has to stay
+ * the same for as long as any user has 2FA enabled, which is why it isn't
+ * derived from JWT_SECRET (rotating that must not lock everyone out).
+ * Recovery codes are stored hashed.
+ */
+
+const crypto = require('crypto');
+const { AppError } = require('./appError');
+const { hashToken } = require('./tokens');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous/next step too, to allow for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} - base32 secret (160 bits)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * HOTP code for a counter (RFC 4226)
+ * @param {string} secret - base32 secret
+ * @param {number} counter
+ * @returns {string} - zero-padded code
+ */
+function generateHotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Time step for a timestamp
+ * @param {number} now - ms since epoch
+ * @returns {number}
+ */
+function getTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a TOTP code
+ * @param {string} secret - base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { lastUsedStep, now }
+ * @returns {number|null} - Matching time step, or null if invalid / already used
+ */
+function verifyTotp(secret, code, { lastUsedStep = null, now = Date.now() } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getTimeStep(now);
+
+  for (let step = currentStep - DRIFT_STEPS; step <= currentStep + DRIFT_STEPS; step++) {
+    // A code can only be used once, so a shoulder-surfed code can't be replayed
+    if (lastUsedStep != null && step <= lastUsedStep) continue;
+
+    const expected = generateHotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps scan
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string}
+ */
+function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function getEncryptionKey() {
+  const keySource = process.env.TOTP_ENCRYPTION_KEY;
+  if (!keySource) {
+    throw new AppError('TOTP_ENCRYPTION_KEY is not set in environment variables', 500, 'CONFIG_001', false);
+  }
+  return crypto.createHash('sha256').update(keySource).digest();
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} secret
+ * @returns {string} - iv:tag:ciphertext (hex)
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [iv, tag, encrypted].map((part) => part.toString('hex')).join(':');
+}
+
+/**
+ * Decrypt a stored secret
+ * @param {string} stored - Output of encryptSecret
+ * @returns {string}
+ */
+function decryptSecret(stored) {
+  const [iv, tag, encrypted] = String(stored).split(':').map((part) => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Normalize a recovery code the way it was hashed (case/dashes ignored)
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Generate one-time recovery codes
+ * @returns {Object} - { codes: shown to the user once, hashes: stored }
+ */
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex'); // 10 hex chars
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+}
+
+/**
+ * Hash a recovery code entered by the user for lookup
+ * @param {string} code
+ * @returns {string}
+ */
+function hashRecoveryCode(code) {
+  return hashToken(normalizeRecoveryCode(code));
+}
+
+/**
+ * Check a TOTP or recovery code for a user and use it up
+ * Mutates the user (lastUsedStep / remaining recovery codes); the caller saves.
+ * The user must be loaded with +twoFactor.secret +twoFactor.lastUsedStep
+ * +twoFactor.recoveryCodes.
+ * @param {Object} user - User document with 2FA enabled
+ * @param {Object} input - { code, recoveryCode }
+ * @returns {boolean}
+ */
+function consumeSecondFactor(user, { code, recoveryCode }) {
+  const twoFactor = user.twoFactor || {};
+
+  if (code) {
+    const step = verifyTotp(decryptSecret(twoFactor.secret), code, {
+      lastUsedStep: twoFactor.lastUsedStep,
+    });
+    if (step === null) return false;
+
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const remaining = (twoFactor.recoveryCodes || []).filter((h) => h !== hash);
+    if (remaining.length === (twoFactor.recoveryCodes || []).length) return false;
+
+    user.twoFactor.recoveryCodes = remaining;
+    return true;
+  }
+
+  return false;
+}
+
+module.exports = {
+  generateSecret,
+  generateHotp,
+  getTimeStep,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  consumeSecondFactor,
+};
@@ -0,0 +1,53 @@
+/**
+ * MongoDB transactions
+ * Needs a replica set (or sharded cluster); a standalone mongod rejects
+ * transactions. On a standalone server (the usual local setup) the callback
+ * runs without a session instead: each write is still atomic on its own, but
+ * a failure part-way can leave the earlier writes in place. server.js warns
+ * about this at startup.
+ * withTransaction retries the callback on transient errors, so it must not
+ * have side effects outside the database (e.g. email).
+ */
+
+const mongoose = require('mongoose');
+
+let transactionsSupported = null;
+
+/**
+ * Whether the connected deployment can run transactions (checked once)
+ * @returns {Promise<boolean>}
+ */
+async function supportsTransactions() {
+  if (transactionsSupported === null) {
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    // Replica set members report setName; mongos reports msg: 'isdbgrid'
+    transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+  }
+  return transactionsSupported;
+}
+
+/**
+ * Run fn in a transaction and return its result
+ * Pass the session to every query/write inside fn. It is null when the
+ * deployment has no transactions, which every query option accepts.
+ * @param {Function} fn - async (session) => result
+ * @returns {Promise<*>}
+ */
+async function runInTransaction(fn) {
+  if (!(await supportsTransactions())) {
+    return fn(null);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = { runInTransaction, supportsTransactions };
@@ -0,0 +1,25 @@
+/**
+ * Anonymous visitor helpers
+ * Public write endpoints have no user account to attribute actions to, so
+ * they use a keyed hash of the client IP instead. The raw IP is never stored.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Stable, non-reversible identifier for the requesting client
+ * @param {Object} req - Express request
+ * @returns {string} - 32-char hex hash
+ */
+function getVisitorHash(req) {
+  const salt = process.env.VISITOR_HASH_SALT || process.env.JWT_SECRET || '';
+  const ip = req.ip || req.connection?.remoteAddress || 'unknown';
+
+  return crypto
+    .createHmac('sha256', salt)
+    .update(ip)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+module.exports = { getVisitorHash };